@@ -0,0 +1,73 @@
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || "7d";
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return process.env.JWT_SECRET;
+}
+
+// Issue a session token for a user
+export function signToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), username: user.username },
+    getSecret(),
+    { expiresIn: TOKEN_TTL }
+  );
+}
+
+// Resolve a session token to its user, or null when invalid/expired/unknown
+export async function getUserFromToken(token) {
+  if (!token) return null;
+  
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return await User.findById(payload.sub);
+  } catch (err) {
+    if (err.name === "JsonWebTokenError" || err.name === "TokenExpiredError") {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Require a valid `Authorization: Bearer <token>` header and attach the
+ * user to `req.user`
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    const user = scheme === "Bearer" ? await getUserFromToken(token) : null;
+    
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Authentication required" 
+      });
+    }
+    
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Socket.io middleware - authenticate the handshake with `auth.token`
+export async function authenticateSocket(socket, next) {
+  try {
+    const user = await getUserFromToken(socket.handshake.auth?.token);
+    if (!user) {
+      return next(new Error("Authentication required"));
+    }
+    
+    socket.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,67 @@
+import crypto from "crypto";
+
+let warnedMissingSecret = false;
+
+/**
+ * Verify the `X-Hub-Signature-256` header Meta sends with every webhook POST.
+ * The signature is an HMAC-SHA256 of the raw request body keyed with the app
+ * secret, so this relies on `req.rawBody` being captured by the JSON body parser.
+ *
+ * Without `WHATSAPP_APP_SECRET` every webhook is rejected, unless
+ * `ALLOW_UNSIGNED_WEBHOOKS=true` opts out for local testing. The opt-out is
+ * ignored when `NODE_ENV=production`.
+ */
+export default function verifyWebhookSignature(req, res, next) {
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+
+  if (!appSecret) {
+    if (process.env.ALLOW_UNSIGNED_WEBHOOKS === "true" && process.env.NODE_ENV !== "production") {
+      if (!warnedMissingSecret) {
+        console.warn("⚠️ WHATSAPP_APP_SECRET is not set - accepting unsigned webhooks (ALLOW_UNSIGNED_WEBHOOKS)");
+        warnedMissingSecret = true;
+      }
+      return next();
+    }
+
+    console.warn(`❌ Webhook rejected: WHATSAPP_APP_SECRET is not set (${req.ip})`);
+    return res.status(401).json({ 
+      success: false, 
+      message: "Webhook signatures can't be verified" 
+    });
+  }
+
+  const signature = req.get("X-Hub-Signature-256");
+  if (!signature) {
+    console.warn(`❌ Webhook rejected: missing X-Hub-Signature-256 header (${req.ip})`);
+    return res.status(401).json({ 
+      success: false, 
+      message: "Missing webhook signature" 
+    });
+  }
+
+  if (!req.rawBody) {
+    console.warn(`❌ Webhook rejected: raw body unavailable for signature check (${req.ip})`);
+    return res.status(401).json({ 
+      success: false, 
+      message: "Unable to verify webhook signature" 
+    });
+  }
+
+  const expected = "sha256=" + crypto
+    .createHmac("sha256", appSecret)
+    .update(req.rawBody)
+    .digest("hex");
+
+  const received = Buffer.from(signature);
+  const computed = Buffer.from(expected);
+
+  if (received.length !== computed.length || !crypto.timingSafeEqual(received, computed)) {
+    console.warn(`❌ Webhook rejected: signature mismatch (${req.ip})`);
+    return res.status(403).json({ 
+      success: false, 
+      message: "Invalid webhook signature" 
+    });
+  }
+
+  next();
+}
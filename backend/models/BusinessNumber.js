@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const BusinessNumberSchema = new mongoose.Schema({
+  // Cloud API phone number id (`metadata.phone_number_id` in webhooks)
+  phone_number_id: { 
+    type: String, 
+    required: true,
+    unique: true
+  },
+  
+  // Human readable number (`metadata.display_phone_number`)
+  display_phone_number: {
+    type: String
+  },
+  
+  // Optional label shown in the number switcher
+  label: {
+    type: String,
+    trim: true,
+    maxLength: 60
+  }
+}, { 
+  collection: "business_numbers",
+  timestamps: true,
+  toJSON: { 
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the name shown in the UI
+BusinessNumberSchema.virtual('display_name').get(function() {
+  return this.label || this.display_phone_number || this.phone_number_id;
+});
+
+/**
+ * Record the business numbers seen in webhook metadata
+ * (`{ phone_number_id, display_phone_number }`), keeping any label we set
+ */
+BusinessNumberSchema.statics.registerAll = async function(numbers) {
+  const operations = numbers.map(({ phone_number_id, display_phone_number }) => ({
+    updateOne: {
+      filter: { phone_number_id },
+      update: display_phone_number 
+        ? { $set: { display_phone_number } } 
+        : { $setOnInsert: { phone_number_id } },
+      upsert: true
+    }
+  }));
+  
+  if (operations.length === 0) return null;
+  return this.bulkWrite(operations, { ordered: false });
+};
+
+export default mongoose.model("BusinessNumber", BusinessNumberSchema);
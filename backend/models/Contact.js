@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+const ContactSchema = new mongoose.Schema({
+  // WhatsApp user identifier
+  wa_id: { 
+    type: String, 
+    required: true,
+    unique: true
+  },
+  
+  // Name from the contact's WhatsApp profile (`contacts[].profile.name`)
+  profile_name: {
+    type: String,
+    trim: true
+  },
+  
+  // Phone number, usually the same as wa_id
+  number: { 
+    type: String
+  },
+  
+  // Name given to the contact by us; takes precedence over the profile name
+  custom_name: {
+    type: String,
+    trim: true,
+    maxLength: 100
+  },
+  
+  avatar: {
+    type: String
+  },
+  
+  about: {
+    type: String,
+    maxLength: 500
+  }
+}, { 
+  collection: "contacts",
+  timestamps: true,
+  toJSON: { 
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the name shown in the UI
+ContactSchema.virtual('display_name').get(function() {
+  return this.custom_name || this.profile_name || `User ${this.wa_id}`;
+});
+
+// Virtual for avatar with a generated fallback
+ContactSchema.virtual('avatar_url').get(function() {
+  return this.avatar || 
+    `https://ui-avatars.com/api/?name=${encodeURIComponent(this.display_name)}&background=25d366&color=fff`;
+});
+
+/**
+ * Store the profiles carried by a webhook/importer `contacts` array
+ * (normalized to `{ wa_id, name }`). Profile names are refreshed on every
+ * payload; custom names, avatars and about texts are left alone.
+ */
+ContactSchema.statics.upsertProfiles = async function(contacts) {
+  const operations = contacts.map(({ wa_id, name }) => ({
+    updateOne: {
+      filter: { wa_id },
+      update: {
+        ...(name && { $set: { profile_name: name } }),
+        $setOnInsert: { number: wa_id }
+      },
+      upsert: true
+    }
+  }));
+  
+  if (operations.length === 0) return null;
+  return this.bulkWrite(operations, { ordered: false });
+};
+
+/**
+ * Make sure a contact exists for a stored message, without overwriting
+ * anything already known about it
+ */
+ContactSchema.statics.ensureFromMessage = async function(message) {
+  const isPlaceholderName = !message.name || message.name === `User ${message.wa_id}`;
+  
+  return this.updateOne(
+    { wa_id: message.wa_id },
+    { 
+      $setOnInsert: {
+        number: message.number || message.wa_id,
+        ...(!isPlaceholderName && message.from === "remote" && { profile_name: message.name })
+      }
+    },
+    { upsert: true }
+  );
+};
+
+export default mongoose.model("Contact", ContactSchema);
@@ -1,4 +1,77 @@
 import mongoose from "mongoose";
+import { STATUS_TRANSITIONS } from "../utils/payloadNormalizer.js";
+import { getServiceWindow } from "../utils/serviceWindow.js";
+
+// Content of messages deleted for everyone
+export const DELETED_PLACEHOLDER = "This message was deleted";
+
+// Snapshot of the template a template message was sent with, so the message
+// still renders after the template is edited or deleted
+const MessageTemplateSchema = new mongoose.Schema({
+  template_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template'
+  },
+  name: String,
+  language: String,
+  header: String, // with variables filled in
+  footer: String,
+  buttons: [{
+    _id: false,
+    type: { type: String },
+    text: String,
+    url: String,
+    phone_number: String
+  }],
+  // Cloud API `components` carrying the variable values
+  components: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Reply buttons / list menu we sent, or the contact's answer to one
+// (see utils/interactiveMessages.js)
+const MessageInteractiveSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["button", "list", "button_reply", "list_reply"]
+  },
+  header: String,
+  body: String,
+  footer: String,
+  buttons: [{ _id: false, id: String, title: String }],
+  // Label of the button opening a list
+  button: String,
+  sections: [{
+    _id: false,
+    title: String,
+    rows: [{ _id: false, id: String, title: String, description: String }]
+  }],
+  // The option the contact picked
+  reply: {
+    id: String,
+    title: String,
+    description: String
+  }
+}, { _id: false });
+
+// Shared location pin (see utils/sharedCards.js)
+const MessageLocationSchema = new mongoose.Schema({
+  latitude: { type: Number, required: true, min: -90, max: 90 },
+  longitude: { type: Number, required: true, min: -180, max: 180 },
+  name: String,
+  address: String,
+  url: String
+}, { _id: false });
+
+// Shared contact card
+const MessageContactSchema = new mongoose.Schema({
+  name: String,
+  first_name: String,
+  last_name: String,
+  phones: [{ _id: false, phone: String, wa_id: String, type: { type: String } }],
+  emails: [{ _id: false, email: String, type: { type: String } }],
+  company: String,
+  vcard: String
+}, { _id: false });
 
 const MessageSchema = new mongoose.Schema({
   // WhatsApp user identifier
@@ -20,15 +93,16 @@ const MessageSchema = new mongoose.Schema({
     sparse: true // Allow multiple null values
   },
   
-  // Message identifiers
+  // Message identifiers. Unique so that provider retries of the same webhook
+  // can never store a message twice
   msg_id: { 
     type: String, 
-    index: true,
+    unique: true,
     sparse: true // Allow multiple null values but index non-null ones
   },
   meta_msg_id: { 
     type: String, 
-    index: true,
+    unique: true,
     sparse: true
   },
   
@@ -44,6 +118,20 @@ const MessageSchema = new mongoose.Schema({
     default: "me"
   },
   
+  // Business phone number (Cloud API phone_number_id) the conversation is on
+  phone_number_id: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  
+  // Agent who sent an outbound message
+  sent_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    sparse: true
+  },
+  
   // Message content
   content: { 
     type: String,
@@ -53,7 +141,23 @@ const MessageSchema = new mongoose.Schema({
   content_type: { 
     type: String, 
     default: "text",
-    enum: ["text", "image", "audio", "video", "document", "location", "contact", "sticker"]
+    enum: ["text", "image", "audio", "video", "document", "location", "contact", "sticker", "template", "interactive"]
+  },
+  template: {
+    type: MessageTemplateSchema,
+    default: undefined
+  },
+  interactive: {
+    type: MessageInteractiveSchema,
+    default: undefined
+  },
+  location: {
+    type: MessageLocationSchema,
+    default: undefined
+  },
+  contacts: {
+    type: [MessageContactSchema],
+    default: undefined
   },
   
   // Media information (for non-text messages)
@@ -69,6 +173,9 @@ const MessageSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  media_filename: {
+    type: String
+  },
   thumbnail_url: {
     type: String,
     sparse: true
@@ -84,6 +191,12 @@ const MessageSchema = new mongoose.Schema({
     type: Date,
     sparse: true
   },
+  // Previous versions of edited messages, oldest first
+  edit_history: [{
+    _id: false,
+    content: { type: String, required: true },
+    edited_at: { type: Date, required: true } // When this version was replaced
+  }],
   
   // Message status
   status: { 
@@ -93,12 +206,28 @@ const MessageSchema = new mongoose.Schema({
     index: true
   },
   
+  // When each delivery stage happened. For messages from the contact,
+  // read_at is when an agent read them.
+  sent_at: Date,
+  delivered_at: Date,
+  read_at: Date,
+  failed_at: Date,
+  
   // Message flags
   is_deleted: {
     type: Boolean,
     default: false,
     index: true
   },
+  deleted_at: {
+    type: Date,
+    sparse: true
+  },
+  // Agents who deleted the message "for me" only
+  deleted_for: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   is_forwarded: {
     type: Boolean,
     default: false
@@ -109,6 +238,29 @@ const MessageSchema = new mongoose.Schema({
     index: true
   },
   
+  // Emoji reactions, at most one per participant: "me" is the business
+  // (shared by all agents, as on the phone) and "remote" the contact
+  reactions: [{
+    _id: false,
+    from: {
+      type: String,
+      enum: ["me", "remote"],
+      required: true
+    },
+    emoji: {
+      type: String,
+      required: true
+    },
+    sent_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reacted_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Reply information
   reply_to: {
     type: mongoose.Schema.Types.ObjectId,
@@ -119,6 +271,10 @@ const MessageSchema = new mongoose.Schema({
     type: String,
     maxLength: 100 // Short preview of original message
   },
+  reply_to_provider_id: {
+    type: String, // msg_id / meta_msg_id of the original, from webhook `context.id`
+    sparse: true
+  },
   
   // Raw payload for debugging and extensibility
   raw_payload: { 
@@ -135,6 +291,11 @@ const MessageSchema = new mongoose.Schema({
   error_message: {
     type: String,
     sparse: true
+  },
+  
+  // When the outbound queue should (re)try sending a pending message
+  next_attempt_at: {
+    type: Date
   }
 }, { 
   collection: "processed_messages",
@@ -152,11 +313,14 @@ const MessageSchema = new mongoose.Schema({
 });
 
 // Compound indexes for better query performance
-MessageSchema.index({ wa_id: 1, timestamp: -1 }); // For conversation messages
+MessageSchema.index({ wa_id: 1, timestamp: -1, _id: -1 }); // For conversation pages (cursor order)
+MessageSchema.index({ phone_number_id: 1, wa_id: 1, timestamp: -1 }); // For per-number conversations
 MessageSchema.index({ from: 1, status: 1 }); // For status queries
 MessageSchema.index({ wa_id: 1, is_deleted: 1 }); // For active messages
 MessageSchema.index({ wa_id: 1, is_starred: 1 }); // For starred messages
+MessageSchema.index({ is_starred: 1, timestamp: -1 }); // For the global starred list
 MessageSchema.index({ msg_id: 1, meta_msg_id: 1 }); // For webhook updates
+MessageSchema.index({ status: 1, next_attempt_at: 1 }); // For the outbound queue
 
 // Virtual for formatted timestamp
 MessageSchema.virtual('formatted_time').get(function() {
@@ -178,7 +342,7 @@ MessageSchema.virtual('formatted_date').get(function() {
 
 // Virtual for message preview (truncated content)
 MessageSchema.virtual('preview').get(function() {
-  if (this.content_type !== 'text') {
+  if (!['text', 'template', 'interactive'].includes(this.content_type)) {
     return `📎 ${this.content_type}`;
   }
   return this.content.length > 50 ? 
@@ -199,6 +363,12 @@ MessageSchema.pre('save', function(next) {
     this.msg_id = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
   
+  // Our messages are stamped with the stage they start in
+  const stageField = `${this.status}_at`;
+  if (this.isNew && this.from === 'me' && this.schema.path(stageField) && !this[stageField]) {
+    this[stageField] = this.timestamp || new Date();
+  }
+  
   // Set default name if not provided
   if (!this.name && this.wa_id) {
     this.name = `User ${this.wa_id}`;
@@ -213,6 +383,15 @@ MessageSchema.pre('save', function(next) {
 });
 
 // Static methods
+// Query conditions for messages an agent can see and that count towards
+// conversation previews and unread counts
+MessageSchema.statics.visibleTo = function(userId) {
+  return {
+    is_deleted: false,
+    ...(userId && { deleted_for: { $ne: userId } })
+  };
+};
+
 MessageSchema.statics.getConversations = async function() {
   return this.aggregate([
     { $match: { is_deleted: false } },
@@ -246,47 +425,192 @@ MessageSchema.statics.getConversations = async function() {
   ]);
 };
 
-MessageSchema.statics.markAsRead = async function(wa_id) {
-  return this.updateMany(
-    { 
-      wa_id, 
-      from: "remote", 
-      status: { $in: ["sent", "delivered"] },
-      is_deleted: false
-    },
-    { status: "read" }
-  );
+/**
+ * The customer service window of a conversation, opened by the contact's
+ * newest message (see utils/serviceWindow.js). Pass `phone_number_id` to
+ * only count messages to that business number.
+ */
+MessageSchema.statics.serviceWindow = async function(wa_id, phone_number_id) {
+  const lastInbound = await this.findOne({ 
+    wa_id, 
+    ...(phone_number_id && { phone_number_id }), 
+    from: "remote" 
+  })
+    .sort({ timestamp: -1 })
+    .select('timestamp')
+    .lean();
+  
+  return getServiceWindow(lastInbound?.timestamp);
+};
+
+/**
+ * Mark the contact's messages up to and including `message` (same
+ * conversation and business number) as read. Returns the messages that
+ * changed, so only those get status events.
+ */
+MessageSchema.statics.markReadUpTo = async function(message) {
+  return this.applyStatus({
+    wa_id: message.wa_id,
+    phone_number_id: message.phone_number_id || null,
+    from: "remote",
+    is_deleted: false,
+    $or: [{ _id: message._id }, ...this.cursorConditions(message, 'before')]
+  }, "read");
+};
+
+/**
+ * Apply a delivery status to the messages matching `filter`. The time of each
+ * stage is recorded once, even when updates arrive out of order, but `status`
+ * only moves forward (see STATUS_TRANSITIONS). `error_message` says why a
+ * send failed. Returns the messages whose status changed, as updated.
+ */
+MessageSchema.statics.applyStatus = async function(filter, status, timestamp = new Date(), { error_message } = {}) {
+  const stageField = `${status}_at`;
+  if (this.schema.path(stageField)) {
+    await this.updateMany({ ...filter, [stageField]: null }, { [stageField]: timestamp });
+  }
+  
+  const changed = await this.find({ ...filter, status: { $in: STATUS_TRANSITIONS[status] || [] } }).select('_id');
+  if (changed.length === 0) return [];
+  
+  const ids = changed.map(msg => msg._id);
+  await this.updateMany({ _id: { $in: ids } }, { status, ...(error_message && { error_message }) });
+  return this.find({ _id: { $in: ids } });
 };
 
+// Key of a conversation (a contact's thread with one business number) in
+// Maps such as the one countUnread returns
+MessageSchema.statics.conversationKey = function(wa_id, phone_number_id) {
+  return `${wa_id}:${phone_number_id || ""}`;
+};
+
+/**
+ * Count unread messages from the contact per conversation: those after the
+ * conversation's read cursor. Conversations without a cursor (e.g. imported
+ * history) fall back to the stored read status. Returns a Map of
+ * conversationKey → count.
+ */
+MessageSchema.statics.countUnread = async function(filter, cursors) {
+  const afterCursors = cursors.map(cursor => ({
+    wa_id: cursor.wa_id,
+    phone_number_id: cursor.phone_number_id,
+    $or: this.cursorConditions({ timestamp: cursor.last_read_at, _id: cursor.last_read_message }, 'after')
+  }));
+  
+  const withoutCursor = {
+    status: { $ne: "read" },
+    ...(cursors.length > 0 && {
+      $nor: cursors.map(cursor => ({ wa_id: cursor.wa_id, phone_number_id: cursor.phone_number_id }))
+    })
+  };
+  
+  const counts = await this.aggregate([
+    { $match: { ...filter, from: "remote", $or: [...afterCursors, withoutCursor] } },
+    { $group: { _id: { wa_id: "$wa_id", phone_number_id: "$phone_number_id" }, count: { $sum: 1 } } }
+  ]);
+  
+  return new Map(counts.map(({ _id, count }) => [this.conversationKey(_id.wa_id, _id.phone_number_id), count]));
+};
+
+// Pagination cursors point at a message as "<epoch ms>_<id>", so pages stay
+// stable while new messages arrive and never need a skip. Parses one into
+// { timestamp, _id }; null when malformed.
+MessageSchema.statics.parseCursor = function(cursor) {
+  const match = /^(\d+)_([a-f\d]{24})$/i.exec(cursor || '');
+  if (!match) return null;
+  return { 
+    timestamp: new Date(Number(match[1])), 
+    _id: new mongoose.Types.ObjectId(match[2]) 
+  };
+};
+
+// Conditions for messages strictly before or after a cursor ({ timestamp, _id })
+// in chat order; `_id` breaks ties between messages with the same timestamp
+MessageSchema.statics.cursorConditions = function(cursor, direction) {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return [
+    { timestamp: { [op]: cursor.timestamp } },
+    { timestamp: cursor.timestamp, _id: { [op]: cursor._id } }
+  ];
+};
+
+/**
+ * Load one page of a conversation in chronological order. By default that is
+ * the newest `limit` messages; `before`/`after` take a parsed cursor to page
+ * backwards or forwards, and `around` a message id to centre the page on
+ * (resolves to null when that message isn't in the conversation).
+ * `filter` adds conditions such as the business number or deleted_for.
+ */
 MessageSchema.statics.getMessagesByConversation = async function(wa_id, options = {}) {
   const {
-    page = 1,
     limit = 50,
-    before = null, // Message ID to get messages before
-    includeDeleted = false
+    before = null,
+    after = null,
+    around = null,
+    filter = {}
   } = options;
   
-  const query = { 
-    wa_id,
-    ...(includeDeleted ? {} : { is_deleted: false })
-  };
+  const query = { wa_id, ...filter };
   
-  // If before is specified, get messages before that timestamp
-  if (before) {
-    const beforeMessage = await this.findById(before);
-    if (beforeMessage) {
-      query.timestamp = { $lt: beforeMessage.timestamp };
-    }
+  const find = (conditions, direction, count) => this.find(conditions)
+    .populate('sent_by', 'username display_name')
+    .populate('reply_to', 'content content_type from name timestamp is_deleted')
+    .sort(direction === 'before' ? { timestamp: -1, _id: -1 } : { timestamp: 1, _id: 1 })
+    .limit(count)
+    .lean();
+  
+  if (around) {
+    const target = mongoose.Types.ObjectId.isValid(around) 
+      ? await this.findOne({ _id: around, ...query }) 
+      : null;
+    if (!target) return null;
+    
+    const olderCount = Math.floor(limit / 2);
+    const [older, newer] = await Promise.all([
+      find({ ...query, $or: this.cursorConditions(target, 'before') }, 'before', olderCount),
+      find({ ...query, $or: [{ _id: target._id }, ...this.cursorConditions(target, 'after')] }, 'after', limit - olderCount)
+    ]);
+    return [...older.reverse(), ...newer];
   }
   
-  const skip = (page - 1) * limit;
+  if (after) {
+    return find({ ...query, $or: this.cursorConditions(after, 'after') }, 'after', limit);
+  }
   
-  return this.find(query)
-    .populate('reply_to', 'content from name timestamp')
-    .sort({ timestamp: -1 })
-    .limit(parseInt(limit))
-    .skip(skip)
-    .lean();
+  const messages = await find(
+    before ? { ...query, $or: this.cursorConditions(before, 'before') } : query, 
+    'before', 
+    limit
+  );
+  return messages.reverse();
+};
+
+/**
+ * Idempotent insert keyed on the provider message id (msg_id / meta_msg_id).
+ * Returns `{ message, inserted }`, where `message` is the existing document
+ * when the message was already stored.
+ */
+MessageSchema.statics.createIfNotExists = async function(doc) {
+  const conditions = [];
+  if (doc.msg_id) conditions.push({ msg_id: doc.msg_id });
+  if (doc.meta_msg_id) conditions.push({ meta_msg_id: doc.meta_msg_id });
+  
+  if (conditions.length > 0) {
+    const existing = await this.findOne({ $or: conditions });
+    if (existing) return { message: existing, inserted: false };
+  }
+  
+  try {
+    const message = new this(doc);
+    await message.resolveReplyTo();
+    return { message: await message.save(), inserted: true };
+  } catch (err) {
+    // A concurrent retry of the same webhook won the race to the unique index
+    if (err.code === 11000 && conditions.length > 0) {
+      return { message: await this.findOne({ $or: conditions }), inserted: false };
+    }
+    throw err;
+  }
 };
 
 // Instance methods
@@ -298,8 +622,93 @@ MessageSchema.methods.markAsRead = async function() {
   return this;
 };
 
+// Link `reply_to` to the quoted message named by `reply_to_provider_id`, if stored
+MessageSchema.methods.resolveReplyTo = async function() {
+  if (this.reply_to || !this.reply_to_provider_id) return this;
+  
+  const original = await this.constructor.findOne({
+    $or: [
+      { msg_id: this.reply_to_provider_id },
+      { meta_msg_id: this.reply_to_provider_id }
+    ]
+  });
+  
+  if (original) {
+    this.reply_to = original._id;
+    if (!this.reply_to_content) {
+      this.reply_to_content = original.content.substring(0, 100);
+    }
+  }
+  return this;
+};
+
+// Delete for everyone: keep a tombstone, drop the content. Replies quoting
+// the message lose their copy of the quoted text too.
 MessageSchema.methods.softDelete = async function() {
   this.is_deleted = true;
+  this.deleted_at = new Date();
+  this.content = DELETED_PLACEHOLDER;
+  this.content_type = 'text';
+  this.is_starred = false;
+  this.edit_history = [];
+  this.reactions = [];
+  const contentFields = [
+    'media_url', 'media_mime_type', 'media_size', 'media_filename', 'thumbnail_url',
+    'template', 'interactive', 'location', 'contacts',
+    'reply_to', 'reply_to_content'
+  ];
+  for (const field of contentFields) {
+    this.set(field, undefined);
+  }
+  // A message still waiting to be sent leaves the outbound queue
+  this.set('next_attempt_at', undefined);
+  await this.save();
+  
+  await this.constructor.updateMany({ reply_to: this._id }, { $unset: { reply_to_content: 1 } });
+  return this;
+};
+
+// Delete for me: hide the message from one agent only
+MessageSchema.methods.hideFor = async function(userId) {
+  if (!this.deleted_for.some(id => id.equals(userId))) {
+    this.deleted_for.push(userId);
+  }
+  return this.save();
+};
+
+// Whether an agent may still edit this message: their own, undeleted text
+// messages within EDIT_WINDOW_MINUTES of sending
+MessageSchema.methods.canEdit = function(userId) {
+  const windowMs = Number(process.env.EDIT_WINDOW_MINUTES || 15) * 60 * 1000;
+  return this.from === 'me' &&
+    this.content_type === 'text' &&
+    !this.is_deleted &&
+    (!this.sent_by || this.sent_by.equals(userId)) &&
+    Date.now() - this.timestamp.getTime() <= windowMs;
+};
+
+// Replace the content, keeping the previous version in edit_history
+MessageSchema.methods.edit = async function(content) {
+  const now = new Date();
+  this.edit_history.push({ content: this.content, edited_at: now });
+  this.content = content;
+  this.edited_at = now;
+  return this.save();
+};
+
+// Whether this message may still be deleted for everyone
+MessageSchema.methods.canDeleteForEveryone = function() {
+  const windowMs = Number(process.env.DELETE_FOR_EVERYONE_WINDOW_HOURS || 48) * 60 * 60 * 1000;
+  return this.from === 'me' && !this.is_deleted && Date.now() - this.timestamp.getTime() <= windowMs;
+};
+
+// Put a failed message back in the outbound queue with fresh attempts
+MessageSchema.methods.requeue = async function() {
+  this.status = 'pending';
+  this.delivery_attempts = 0;
+  this.next_attempt_at = new Date();
+  this.error_message = undefined;
+  this.failed_at = undefined;
   return this.save();
 };
 
@@ -308,6 +717,18 @@ MessageSchema.methods.star = async function() {
   return this.save();
 };
 
+/**
+ * Set the reaction of `from` ("me" or "remote"), replacing its earlier one.
+ * An empty emoji removes it.
+ */
+MessageSchema.methods.setReaction = async function(from, emoji, { userId, timestamp = new Date() } = {}) {
+  this.reactions = this.reactions.filter(reaction => reaction.from !== from);
+  if (emoji) {
+    this.reactions.push({ from, emoji, sent_by: userId, reacted_at: timestamp });
+  }
+  return this.save();
+};
+
 // Add text search index for message content
 MessageSchema.index({ 
   content: 'text', 
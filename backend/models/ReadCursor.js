@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// How far agents have read one conversation on one business number. Messages
+// from the contact after the cursor's message are unread.
+const ReadCursorSchema = new mongoose.Schema({
+  wa_id: { 
+    type: String, 
+    required: true 
+  },
+  
+  // null for messages that predate per-number scoping
+  phone_number_id: { 
+    type: String, 
+    default: null 
+  },
+  
+  // Last message read in the conversation, and its timestamp
+  last_read_message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  last_read_at: {
+    type: Date,
+    required: true
+  },
+  
+  // Agent who moved the cursor last
+  read_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  collection: "read_cursors",
+  timestamps: true,
+  toJSON: { 
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+ReadCursorSchema.index({ wa_id: 1, phone_number_id: 1 }, { unique: true });
+
+/**
+ * Move the cursor of `message`'s conversation forward to it. Cursors never
+ * move backwards; returns null when the cursor was already at or past it.
+ */
+ReadCursorSchema.statics.advance = async function(message, userId) {
+  const key = { wa_id: message.wa_id, phone_number_id: message.phone_number_id || null };
+  const cursor = await this.findOne(key);
+  
+  if (cursor) {
+    const readAt = cursor.last_read_at.getTime();
+    const timestamp = message.timestamp.getTime();
+    if (timestamp < readAt || (timestamp === readAt && String(message._id) <= String(cursor.last_read_message))) {
+      return null;
+    }
+  }
+  
+  return this.findOneAndUpdate(
+    key,
+    { last_read_message: message._id, last_read_at: message.timestamp, read_by: userId },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model("ReadCursor", ReadCursorSchema);
@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import { countPlaceholders, checkPlaceholders, fillPlaceholders } from "../utils/templateVariables.js";
+
+const TEMPLATE_BUTTON_TYPES = ["quick_reply", "url", "phone_number"];
+
+// Longest texts the Cloud API sends once the variables are filled in
+const MAX_FILLED_LENGTH = { header: 60, body: 1024 };
+
+// Placeholders must run from {{1}} without gaps
+const placeholderValidator = {
+  validator: text => !checkPlaceholders(text),
+  message: props => checkPlaceholders(props.value)
+};
+
+const TemplateButtonSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TEMPLATE_BUTTON_TYPES,
+    default: "quick_reply"
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 25
+  },
+  url: {
+    type: String,
+    trim: true,
+    required: [function() { return this.type === "url"; }, "URL buttons need a url"]
+  },
+  phone_number: {
+    type: String,
+    trim: true,
+    required: [function() { return this.type === "phone_number"; }, "Call buttons need a phone_number"]
+  }
+}, { _id: false });
+
+// Message templates, the only messages WhatsApp lets a business send outside
+// the 24-hour customer service window. Texts use `{{1}}`-style placeholders.
+const TemplateSchema = new mongoose.Schema({
+  // Name the template is registered under with Meta
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxLength: 512,
+    match: [/^[a-z0-9_]+$/, "Template names may only contain lowercase letters, digits and underscores"]
+  },
+  language: {
+    type: String,
+    default: "en_US",
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ["MARKETING", "UTILITY", "AUTHENTICATION"],
+    default: "UTILITY"
+  },
+
+  // Text header, may use one placeholder
+  header: {
+    type: String,
+    trim: true,
+    maxLength: 60,
+    validate: [
+      placeholderValidator,
+      { validator: text => countPlaceholders(text) <= 1, message: "A header can have at most one variable" }
+    ]
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 1024,
+    validate: placeholderValidator
+  },
+  footer: {
+    type: String,
+    trim: true,
+    maxLength: 60
+  },
+  buttons: {
+    type: [TemplateButtonSchema],
+    validate: [buttons => buttons.length <= 10, "A template can have at most 10 buttons"]
+  },
+
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  collection: "templates",
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+TemplateSchema.index({ name: 1, language: 1 }, { unique: true });
+
+// Number of variables the header and body take
+TemplateSchema.virtual('variable_counts').get(function() {
+  return {
+    header: countPlaceholders(this.header),
+    body: countPlaceholders(this.body)
+  };
+});
+
+/**
+ * Describe what is wrong with `variables` (`{ header: [...], body: [...] }`)
+ * for this template, or return null when every placeholder has a value and
+ * the filled-in texts stay within MAX_FILLED_LENGTH
+ */
+TemplateSchema.methods.checkVariables = function(variables = {}) {
+  if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+    return 'variables must be an object like { "header": [...], "body": [...] }';
+  }
+  for (const [component, count] of Object.entries(this.variable_counts)) {
+    const values = variables[component] ?? [];
+    if (!Array.isArray(values)) {
+      return `variables.${component} must be an array of values`;
+    }
+    for (let i = 0; i < count; i++) {
+      if (typeof values[i] !== 'string' || !values[i].trim()) {
+        return `Value for ${component} variable {{${i + 1}}} is required`;
+      }
+    }
+  }
+
+  const { content, template } = this.toMessage(variables);
+  const filled = { header: template.header || '', body: content };
+  for (const [component, max] of Object.entries(MAX_FILLED_LENGTH)) {
+    if (filled[component].length > max) {
+      return `The ${component} is ${filled[component].length} characters long with its variables filled in; at most ${max} can be sent`;
+    }
+  }
+  return null;
+};
+
+/**
+ * The fields of a message sending this template with `variables`: the
+ * filled-in body as content, plus a snapshot of the template and the Cloud
+ * API `components` carrying the variable values
+ */
+TemplateSchema.methods.toMessage = function(variables = {}) {
+  const { header: headerCount, body: bodyCount } = this.variable_counts;
+  const values = {
+    header: (variables.header || []).slice(0, headerCount).map(value => value.trim()),
+    body: (variables.body || []).slice(0, bodyCount).map(value => value.trim())
+  };
+
+  const components = ['header', 'body']
+    .filter(component => values[component].length > 0)
+    .map(component => ({
+      type: component,
+      parameters: values[component].map(text => ({ type: 'text', text }))
+    }));
+
+  return {
+    content: fillPlaceholders(this.body, values.body),
+    content_type: 'template',
+    template: {
+      template_id: this._id,
+      name: this.name,
+      language: this.language,
+      header: fillPlaceholders(this.header, values.header),
+      footer: this.footer,
+      buttons: this.buttons.map(button => button.toObject()),
+      components
+    }
+  };
+};
+
+export default mongoose.model("Template", TemplateSchema);
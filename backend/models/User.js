@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+const UserSchema = new mongoose.Schema({
+  // Login name
+  username: { 
+    type: String, 
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minLength: 3,
+    maxLength: 30
+  },
+  
+  // Name shown to other agents
+  display_name: {
+    type: String,
+    trim: true,
+    maxLength: 60
+  },
+  
+  password_hash: {
+    type: String,
+    required: true,
+    select: false // Never returned unless explicitly requested
+  },
+  
+  last_login_at: {
+    type: Date
+  }
+}, { 
+  collection: "users",
+  timestamps: true,
+  toJSON: { 
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.password_hash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Pre-save middleware
+UserSchema.pre('save', function(next) {
+  if (!this.display_name) {
+    this.display_name = this.username;
+  }
+  next();
+});
+
+// Static methods
+UserSchema.statics.register = async function({ username, password, display_name }) {
+  const password_hash = await bcrypt.hash(password, 10);
+  return this.create({ username, password_hash, display_name });
+};
+
+// Returns the user when the credentials match, null otherwise
+UserSchema.statics.authenticate = async function(username, password) {
+  const user = await this.findOne({ username: username.toLowerCase().trim() })
+    .select('+password_hash');
+  
+  if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+    return null;
+  }
+  
+  user.last_login_at = new Date();
+  await user.save();
+  return user;
+};
+
+export default mongoose.model("User", UserSchema);
@@ -1,101 +1,142 @@
 import express from "express";
+import mongoose from "mongoose";
+import multer from "multer";
 import Message from "../models/Message.js";
+import Contact from "../models/Contact.js";
+import BusinessNumber from "../models/BusinessNumber.js";
+import ReadCursor from "../models/ReadCursor.js";
+import Template from "../models/Template.js";
+import verifyWebhookSignature from "../middleware/verifyWebhookSignature.js";
+import { requireAuth } from "../middleware/auth.js";
+import { normalizePayload, buildMessageIdQuery, CONTENT_TYPES, MEDIA_TYPES } from "../utils/payloadNormalizer.js";
+import { storeUpload, checkUpload, resolveStoredMedia } from "../services/media.js";
+import { parseSearchTerms, findMatches, buildSnippet } from "../utils/searchHighlight.js";
+import { emitNewMessage, emitStatusUpdate, emitReaction } from "../utils/socketEvents.js";
+import { kickOutboundQueue } from "../services/outboundQueue.js";
+import { getProvider } from "../services/providers/index.js";
+import { getServiceWindow, SERVICE_WINDOW_CLOSED } from "../utils/serviceWindow.js";
+import { buildInteractive, checkInteractive } from "../utils/interactiveMessages.js";
+import { buildLocation, checkLocation, buildContacts, checkContacts, describeLocation, describeContacts } from "../utils/sharedCards.js";
+import { checkReactionEmoji } from "../utils/reactions.js";
+import { buildForwardCopy, checkForwardable, MAX_FORWARD_TARGETS, MAX_FORWARD_MESSAGES } from "../utils/forwarding.js";
 
 const router = express.Router();
 
+// Uploads are kept in memory until the storage driver writes them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number(process.env.MAX_UPLOAD_MB || 16) * 1024 * 1024 }
+});
+
+// Fields of a quoted message shown inside a reply bubble
+const REPLY_TO_FIELDS = 'content content_type from name timestamp is_deleted';
+
+// Message types composed from their own fields instead of `content`
+const STRUCTURED_TYPES = ["template", "interactive", "location", "contact"];
+
+// Restrict a query to one business number when `phone_number_id` is given
+function numberScope(phone_number_id) {
+  return phone_number_id ? { phone_number_id } : {};
+}
+
+// Reply 403 when a free-form message can't be sent because the customer
+// service window is closed; returns whether it did
+async function rejectOutsideServiceWindow(res, wa_id, phone_number_id) {
+  const serviceWindow = await Message.serviceWindow(wa_id, phone_number_id);
+  if (serviceWindow.open) return false;
+  
+  res.status(403).json({ 
+    success: false, 
+    code: SERVICE_WINDOW_CLOSED,
+    message: "The 24-hour customer service window has closed; only template messages can be sent",
+    service_window: serviceWindow
+  });
+  return true;
+}
+
+/**
+ * Webhook verification handshake — Meta calls this with `hub.mode=subscribe`,
+ * the configured verify token and a challenge that must be echoed back.
+ */
+router.get("/webhook", (req, res) => {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
+  const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+
+  if (mode === "subscribe" && verifyToken && token === verifyToken) {
+    console.log("✅ Webhook verified");
+    return res.status(200).send(challenge);
+  }
+
+  console.warn(`❌ Webhook verification failed: mode=${mode}, token ${verifyToken ? "mismatch" : "not configured"}`);
+  return res.status(403).json({ 
+    success: false, 
+    message: "Webhook verification failed" 
+  });
+});
+
 /**
  * Webhook endpoint — accept incoming payloads exactly as the sample (or normalized).
- * This will handle new messages and status updates.
+ * This will handle new messages and status updates, either as a WhatsApp Cloud API
+ * envelope (`entry[].changes[].value`) or as the flattened legacy shapes. Payloads
+ * go through the same normalizer as scripts/process_payloads.js.
  */
-router.post("/webhook", async (req, res) => {
+router.post("/webhook", verifyWebhookSignature, async (req, res) => {
   const payload = req.body;
   
   try {
-    // Handle new messages
-    if (payload.type === "message" || payload.messages) {
-      const msgs = payload.messages || [payload];
-      const saved = [];
-      
-      for (const m of msgs) {
-        const doc = {
-          wa_id: m.wa_id || payload.wa_id || m.from,
-          name: m.name || payload.name || `User ${m.wa_id || m.from}`,
-          number: m.number || payload.number,
-          msg_id: m.id || m.msg_id || m.message_id,
-          meta_msg_id: m.meta_msg_id,
-          from: m.from || m.sender || "remote",
-          to: m.to || "me",
-          content: m.text || (m.body && m.body.text) || m.content || "",
-          content_type: m.content_type || "text",
-          timestamp: m.timestamp ? new Date(m.timestamp) : new Date(),
-          status: m.status || "sent",
-          raw_payload: m
-        };
-        
-        const newMsg = await Message.create(doc);
-        saved.push(newMsg);
-        
-        // Emit to all clients and specific room
-        req.io.emit("message:new", newMsg);
-        req.io.to(`chat_${newMsg.wa_id}`).emit("message:new", newMsg);
+    const { messages, statuses, reactions, contacts, numbers } = normalizePayload(payload);
+    
+    if (messages.length === 0 && statuses.length === 0 && reactions.length === 0 && contacts.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Unrecognized payload format" 
+      });
+    }
+    
+    // Handle contact profiles first so new messages pick up their names, and
+    // record the business numbers messages are routed to
+    await Contact.upsertProfiles(contacts);
+    await BusinessNumber.registerAll(numbers);
+    
+    // Handle new messages. Providers retry webhooks, so messages that are
+    // already stored are counted as duplicates and not emitted again
+    let inserted = 0;
+    let duplicates = 0;
+    for (const doc of messages) {
+      const { message: newMsg, inserted: isNew } = await Message.createIfNotExists(doc);
+      if (!isNew) {
+        duplicates++;
+        continue;
       }
+      inserted++;
+      await Contact.ensureFromMessage(newMsg);
       
-      return res.json({ success: true, inserted: saved.length });
+      // Emit to all clients and specific room
+      emitNewMessage(req.io, newMsg);
     }
-
+    
     // Handle status updates
-    if (payload.type === "status" || payload.status_update) {
-      const idToFind = payload.id || payload.msg_id || payload.meta_msg_id;
-      const status = payload.status || payload.status_update || "delivered";
-      
-      if (idToFind) {
-        const query = { $or: [{ msg_id: idToFind }, { meta_msg_id: idToFind }] };
-        const update = { status };
-        const result = await Message.updateMany(query, update);
-        
-        // Get the updated messages to emit with full data
-        const updatedMessages = await Message.find(query);
-        updatedMessages.forEach(msg => {
-          req.io.emit("message:status_update", { 
-            messageId: msg._id, 
-            msg_id: msg.msg_id,
-            meta_msg_id: msg.meta_msg_id,
-            status: status,
-            wa_id: msg.wa_id 
-          });
-          req.io.to(`chat_${msg.wa_id}`).emit("message:status_update", { 
-            messageId: msg._id, 
-            status: status 
-          });
-        });
-        
-        return res.json({ 
-          success: true, 
-          matched: result.matchedCount, 
-          modified: result.modifiedCount 
-        });
-      }
+    let updated = 0;
+    for (const { ids, status, timestamp, error_message } of statuses) {
+      const changed = await Message.applyStatus(buildMessageIdQuery(ids), status, timestamp, { error_message });
+      updated += changed.length;
+      changed.forEach(msg => emitStatusUpdate(req.io, msg, status));
     }
-
-    // Fallback for unknown payloads
-    if (payload.id || payload.message_id) {
-      const doc = {
-        wa_id: payload.wa_id || payload.from || "unknown",
-        name: payload.name || "Unknown User",
-        content: JSON.stringify(payload).slice(0, 2000),
-        timestamp: new Date(),
-        raw_payload: payload
-      };
+    
+    // Handle reactions to stored messages
+    let reacted = 0;
+    for (const { ids, emoji, from, timestamp } of reactions) {
+      const message = await Message.findOne(buildMessageIdQuery(ids));
+      if (!message) continue;
       
-      const m = await Message.create(doc);
-      req.io.emit("message:new", m);
-      return res.json({ success: true });
+      await message.setReaction(from, emoji, { timestamp });
+      reacted++;
+      emitReaction(req.io, message);
     }
-
-    return res.status(400).json({ 
-      success: false, 
-      message: "Unrecognized payload format" 
-    });
+    
+    return res.json({ success: true, inserted, duplicates, updated, reactions: reacted });
     
   } catch (err) {
     console.error("Webhook error:", err);
@@ -106,50 +147,98 @@ router.post("/webhook", async (req, res) => {
   }
 });
 
+// Everything below the webhook is for logged-in agents only
+router.use(requireAuth);
+
 /**
- * Get conversations list (grouped by wa_id) with last message preview
+ * Get the business phone numbers we receive messages on
+ */
+router.get("/phone-numbers", async (req, res) => {
+  try {
+    // The configured sending number is always available
+    if (process.env.WHATSAPP_PHONE_NUMBER_ID) {
+      await BusinessNumber.registerAll([{ 
+        phone_number_id: process.env.WHATSAPP_PHONE_NUMBER_ID,
+        display_phone_number: process.env.WHATSAPP_DISPLAY_PHONE_NUMBER
+      }]);
+    }
+    
+    const numbers = await BusinessNumber.find().sort({ createdAt: 1 });
+    res.json(numbers);
+  } catch (err) {
+    console.error("Error fetching phone numbers:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Get conversations list with last message preview. A conversation is a
+ * contact's thread with one business number, so a contact who wrote to two
+ * numbers has two. Pass `?phone_number_id=` to list only one business
+ * number's conversations.
  */
 router.get("/conversations", async (req, res) => {
   try {
+    const visible = { ...numberScope(req.query.phone_number_id), ...Message.visibleTo(req.user._id) };
+    
     const agg = await Message.aggregate([
+      { $match: visible },
       { $sort: { timestamp: -1 } },
       { 
         $group: {
-          _id: "$wa_id",
+          _id: { wa_id: "$wa_id", phone_number_id: { $ifNull: ["$phone_number_id", null] } },
           lastMessage: { $first: "$content" },
+          lastMessageType: { $first: "$content_type" },
           lastTimestamp: { $first: "$timestamp" },
           lastStatus: { $first: "$status" },
           lastFrom: { $first: "$from" },
-          name: { $first: "$name" },
-          number: { $first: "$number" },
-          unreadCount: {
-            $sum: {
-              $cond: [
-                { $and: [
-                  { $eq: ["$from", "remote"] },
-                  { $ne: ["$status", "read"] }
-                ]},
-                1,
-                0
-              ]
-            }
-          }
+          // Opens the customer service window
+          lastInboundAt: { $max: { $cond: [{ $eq: ["$from", "remote"] }, "$timestamp", null] } },
+          number: { $first: "$number" }
+        }
+      },
+      { $sort: { lastTimestamp: -1 } },
+      // Names and avatars come from the contact, not from whichever message is newest
+      { 
+        $lookup: {
+          from: Contact.collection.name,
+          localField: "_id.wa_id",
+          foreignField: "wa_id",
+          as: "contact"
         }
       },
-      { $sort: { lastTimestamp: -1 } }
+      { $unwind: { path: "$contact", preserveNullAndEmptyArrays: true } }
     ]);
 
-    const conversations = agg.map(c => ({
-      wa_id: c._id,
-      name: c.name || `User ${c._id}`,
-      number: c.number,
-      lastMessage: c.lastMessage || "",
-      lastTimestamp: c.lastTimestamp,
-      lastStatus: c.lastStatus,
-      lastFrom: c.lastFrom,
-      unreadCount: c.unreadCount || 0,
-      avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(c.name || c._id)}&background=25d366&color=fff`
-    }));
+    // Unread counts come from the read cursors
+    const cursors = await ReadCursor.find({ 
+      wa_id: { $in: agg.map(c => c._id.wa_id) },
+      ...numberScope(req.query.phone_number_id)
+    }).lean();
+    const unreadCounts = await Message.countUnread(visible, cursors);
+
+    const conversations = agg.map(c => {
+      const { wa_id, phone_number_id } = c._id;
+      const contact = Contact.hydrate(c.contact || { wa_id });
+      
+      return {
+        wa_id,
+        phone_number_id,
+        name: contact.display_name,
+        number: contact.number || c.number,
+        lastMessage: c.lastMessage || "",
+        lastMessageType: c.lastMessageType,
+        lastTimestamp: c.lastTimestamp,
+        lastStatus: c.lastStatus,
+        lastFrom: c.lastFrom,
+        unreadCount: unreadCounts.get(Message.conversationKey(wa_id, phone_number_id)) || 0,
+        serviceWindow: getServiceWindow(c.lastInboundAt),
+        avatar: contact.avatar_url
+      };
+    });
 
     res.json(conversations);
   } catch (err) {
@@ -162,33 +251,52 @@ router.get("/conversations", async (req, res) => {
 });
 
 /**
- * Get messages for a specific conversation
+ * Get one page of a conversation, oldest first. Without a cursor this is the
+ * newest `limit` messages (max 100). Page with `before`/`after` cursors
+ * ("<epoch ms>_<messageId>") taken from the first or
+ * last loaded message, or pass `around=<messageId>` for the page of history
+ * centred on that message (used to jump to search hits and quoted replies).
+ * A page shorter than `limit` means there is nothing more in that direction.
  */
 router.get("/messages/:wa_id", async (req, res) => {
   try {
     const { wa_id } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { phone_number_id, around } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const before = req.query.before ? Message.parseCursor(req.query.before) : null;
+    const after = req.query.after ? Message.parseCursor(req.query.after) : null;
     
-    const skip = (page - 1) * limit;
+    if ((req.query.before && !before) || (req.query.after && !after)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Invalid cursor" 
+      });
+    }
     
-    const messages = await Message.find({ wa_id })
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip(skip)
-      .lean();
+    // Messages deleted for everyone stay in the list as tombstones
+    const messages = await Message.getMessagesByConversation(wa_id, { 
+      limit, 
+      before, 
+      after, 
+      around,
+      filter: { 
+        ...numberScope(phone_number_id),
+        deleted_for: { $ne: req.user._id }
+      }
+    });
     
-    // Reverse to get chronological order (oldest first)
-    const chronologicalMessages = messages.reverse().map(msg => ({
+    if (!messages) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Message not found" 
+      });
+    }
+    
+    const chronologicalMessages = messages.map(msg => ({
       ...msg,
       avatar: msg.from === "me" ? null : `https://ui-avatars.com/api/?name=${encodeURIComponent(msg.name || msg.wa_id)}&background=25d366&color=fff`
     }));
     
-    // Mark messages as read when fetched
-    await Message.updateMany(
-      { wa_id, from: "remote", status: { $ne: "read" } },
-      { status: "read" }
-    );
-    
     res.json(chronologicalMessages);
   } catch (err) {
     console.error("Error fetching messages:", err);
@@ -200,18 +308,359 @@ router.get("/messages/:wa_id", async (req, res) => {
 });
 
 /**
- * Send a new message - Fixed endpoint name to match frontend expectation
+ * Search one conversation. Returns the matching message ids, newest first,
+ * with highlight ranges for their content; load them with `?around=`.
+ */
+router.get("/messages/:wa_id/search", async (req, res) => {
+  try {
+    const { wa_id } = req.params;
+    const q = req.query.q?.trim();
+    
+    if (!q) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "q is required" 
+      });
+    }
+    
+    const hits = await Message.find(
+      { 
+        wa_id,
+        $text: { $search: q },
+        ...numberScope(req.query.phone_number_id),
+        ...Message.visibleTo(req.user._id)
+      },
+      { content: 1, timestamp: 1 }
+    )
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(500)
+      .lean();
+    
+    const terms = parseSearchTerms(q);
+    
+    res.json({ 
+      success: true, 
+      query: q, 
+      total: hits.length, 
+      hits: hits.map(hit => ({ 
+        _id: hit._id,
+        timestamp: hit.timestamp,
+        highlights: findMatches(hit.content, terms)
+      })) 
+    });
+  } catch (err) {
+    console.error("Error searching conversation:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Starred messages, newest first. Pass `wa_id` to limit them to one
+ * conversation.
+ */
+router.get("/starred", async (req, res) => {
+  try {
+    const { wa_id, phone_number_id } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    
+    const query = { 
+      is_starred: true,
+      ...(wa_id && { wa_id }),
+      ...numberScope(phone_number_id),
+      ...Message.visibleTo(req.user._id)
+    };
+    
+    const [messages, total] = await Promise.all([
+      Message.find(query)
+        .populate('sent_by', 'username display_name')
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Message.countDocuments(query)
+    ]);
+    
+    res.json({ 
+      success: true, 
+      messages, 
+      page, 
+      limit, 
+      total, 
+      hasMore: page * limit < total 
+    });
+  } catch (err) {
+    console.error("Error fetching starred messages:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Full-text search over message content (and contact names) using the
+ * `message_text_search` index. Results are ranked by text score, grouped by
+ * conversation (best match first) and carry a highlighted snippet.
+ */
+router.get("/search", async (req, res) => {
+  try {
+    const q = req.query.q?.trim();
+    
+    if (!q) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "q is required" 
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 200);
+    
+    const hits = await Message.find(
+      { 
+        $text: { $search: q },
+        ...numberScope(req.query.phone_number_id),
+        ...Message.visibleTo(req.user._id)
+      },
+      { 
+        score: { $meta: "textScore" },
+        wa_id: 1, 
+        phone_number_id: 1, 
+        from: 1, 
+        content: 1, 
+        content_type: 1, 
+        timestamp: 1 
+      }
+    )
+      .sort({ score: { $meta: "textScore" }, timestamp: -1 })
+      .limit(limit)
+      .lean();
+    
+    const contacts = await Contact.find({ wa_id: { $in: [...new Set(hits.map(hit => hit.wa_id))] } });
+    const contactsByWaId = new Map(contacts.map(contact => [contact.wa_id, contact]));
+    
+    const terms = parseSearchTerms(q);
+    const groups = new Map();
+    
+    for (const hit of hits) {
+      if (!groups.has(hit.wa_id)) {
+        const contact = contactsByWaId.get(hit.wa_id) || Contact.hydrate({ wa_id: hit.wa_id });
+        groups.set(hit.wa_id, { 
+          wa_id: hit.wa_id,
+          name: contact.display_name,
+          avatar: contact.avatar_url,
+          score: hit.score,
+          messages: []
+        });
+      }
+      
+      groups.get(hit.wa_id).messages.push({ 
+        _id: hit._id,
+        phone_number_id: hit.phone_number_id,
+        from: hit.from,
+        content_type: hit.content_type,
+        timestamp: hit.timestamp,
+        score: hit.score,
+        snippet: buildSnippet(hit.content || "", terms)
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      query: q, 
+      total: hits.length, 
+      results: [...groups.values()] 
+    });
+  } catch (err) {
+    console.error("Error searching messages:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Upload a media file (multipart field `file`). Returns the media fields to
+ * pass to POST /messages.
+ */
+router.post("/media", (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ 
+        success: false, 
+        message: err.message 
+      });
+    }
+    next(err);
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "file is required" 
+      });
+    }
+    
+    const problem = checkUpload(req.file);
+    if (problem) {
+      return res.status(415).json({ 
+        success: false, 
+        message: problem 
+      });
+    }
+    
+    const media = await storeUpload(req.file);
+    
+    res.json({ 
+      success: true, 
+      media 
+    });
+    
+  } catch (err) {
+    console.error("Media upload error:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Send a new message - Fixed endpoint name to match frontend expectation.
+ * `phone_number_id` names the business number the conversation is on.
+ * Media messages pass the fields returned by POST /media (type and size are
+ * read from the stored file); `content` is then an optional caption.
+ * Template messages (`content_type: "template"`)
+ * pass `template_id` and `variables` (`{ header: [...], body: [...] }`)
+ * instead of content, and interactive messages (`content_type: "interactive"`)
+ * an `interactive` object with reply `buttons` or a list's `button` and
+ * `sections` (see utils/interactiveMessages.js). Locations pass `location`
+ * (`{ latitude, longitude, name?, address? }`) and contact cards `contacts`
+ * (`[{ name, phones: [{ phone }], emails?, company? }]`). Anything but
+ * templates is rejected with 403 and `code: "SERVICE_WINDOW_CLOSED"` once the
+ * customer service window has closed.
  */
 router.post("/messages", async (req, res) => {
   try {
-    const { wa_id, name, number, content, content_type = "text" } = req.body;
+    const { wa_id, name, number, content, content_type = "text", media_url, reply_to, phone_number_id } = req.body;
+    
+    if (!wa_id || (!STRUCTURED_TYPES.includes(content_type) && !content && !media_url)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "wa_id and content (or media_url) are required" 
+      });
+    }
+    
+    // Replies go out from the number the conversation is on, never a default
+    if (!phone_number_id) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "phone_number_id of the conversation is required" 
+      });
+    }
+    
+    if (!CONTENT_TYPES.includes(content_type)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Unsupported content_type "${content_type}"` 
+      });
+    }
+    
+    // The provider can only send media it has a link to
+    if (MEDIA_TYPES.includes(content_type) && !media_url) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `${content_type} messages need a media_url from POST /media` 
+      });
+    }
+    
+    // Content and fields of structured message types
+    let structured = null;
+    if (content_type === "template") {
+      const { template_id, variables } = req.body;
+      const template = mongoose.Types.ObjectId.isValid(template_id) 
+        ? await Template.findById(template_id) 
+        : null;
+      
+      if (!template) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "template_id must name an existing template" 
+        });
+      }
+      
+      const problem = template.checkVariables(variables);
+      if (problem) {
+        return res.status(400).json({ 
+          success: false, 
+          message: problem 
+        });
+      }
+      structured = template.toMessage(variables);
+    } else if (content_type === "interactive") {
+      const interactive = buildInteractive(req.body.interactive);
+      const problem = checkInteractive(interactive);
+      if (problem) {
+        return res.status(400).json({ 
+          success: false, 
+          message: problem 
+        });
+      }
+      structured = { content: interactive.body, interactive };
+    } else if (content_type === "location") {
+      const location = buildLocation(req.body.location);
+      const problem = checkLocation(location);
+      if (problem) {
+        return res.status(400).json({ 
+          success: false, 
+          message: problem 
+        });
+      }
+      structured = { content: describeLocation(location), location };
+    } else if (content_type === "contact") {
+      const contacts = buildContacts(req.body.contacts);
+      const problem = checkContacts(contacts);
+      if (problem) {
+        return res.status(400).json({ 
+          success: false, 
+          message: problem 
+        });
+      }
+      structured = { content: describeContacts(contacts), contacts };
+    }
     
-    if (!wa_id || !content) {
+    if (content_type !== "template" && await rejectOutsideServiceWindow(res, wa_id, phone_number_id)) {
+      return;
+    }
+    
+    // Only files uploaded through POST /media can be sent
+    const media = media_url ? await resolveStoredMedia(req.body) : {};
+    if (!media) {
       return res.status(400).json({ 
         success: false, 
-        message: "wa_id and content are required" 
+        message: "media_url must be a file uploaded with POST /media" 
       });
     }
+    
+    // Replies must quote a message of the same conversation
+    let original = null;
+    if (reply_to) {
+      original = mongoose.Types.ObjectId.isValid(reply_to) 
+        ? await Message.findOne({ _id: reply_to, wa_id }) 
+        : null;
+      
+      if (!original) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "reply_to must be a message of this conversation" 
+        });
+      }
+    }
 
     const doc = {
       wa_id,
@@ -219,36 +668,33 @@ router.post("/messages", async (req, res) => {
       number,
       from: "me",
       to: wa_id,
-      content: content.trim(),
+      phone_number_id,
+      content: content?.trim() || media.media_filename || `📎 ${content_type}`,
       content_type,
+      ...media,
+      ...structured,
+      ...(original && {
+        reply_to: original._id,
+        reply_to_content: original.content.substring(0, 100)
+      }),
       timestamp: new Date(),
-      status: "sent",
+      // Sent by the outbound queue (services/outboundQueue.js)
+      status: "pending",
+      next_attempt_at: new Date(),
       msg_id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sent_by: req.user._id,
       raw_payload: req.body
     };
 
     const newMessage = await Message.create(doc);
+    await Contact.ensureFromMessage(newMessage);
+    await newMessage.populate([
+      { path: 'sent_by', select: 'username display_name' },
+      { path: 'reply_to', select: REPLY_TO_FIELDS }
+    ]);
     
-    // Emit to all clients and specific room
-    req.io.emit("message:new", newMessage);
-    req.io.to(`chat_${wa_id}`).emit("message:new", newMessage);
-    
-    // Simulate message delivery after a short delay
-    setTimeout(async () => {
-      try {
-        await Message.findByIdAndUpdate(newMessage._id, { status: "delivered" });
-        const deliveredMessage = { 
-          messageId: newMessage._id, 
-          msg_id: newMessage.msg_id,
-          status: "delivered",
-          wa_id: newMessage.wa_id
-        };
-        req.io.emit("message:status_update", deliveredMessage);
-        req.io.to(`chat_${wa_id}`).emit("message:status_update", deliveredMessage);
-      } catch (err) {
-        console.error("Error updating message status:", err);
-      }
-    }, 1000);
+    emitNewMessage(req.io, newMessage);
+    kickOutboundQueue();
 
     res.json({ 
       success: true, 
@@ -265,40 +711,407 @@ router.post("/messages", async (req, res) => {
 });
 
 /**
- * Mark messages as read
+ * Forward messages to one or more conversations. Body: `message_ids` (sent
+ * oldest first) and `targets` (`[{ wa_id, phone_number_id }]`, at most 5).
+ * Each target gets copies flagged `is_forwarded`, queued like new sends.
+ * Targets whose customer service window has closed are skipped (and listed
+ * in `skipped`) unless only templates are forwarded; when every target is
+ * skipped the request fails with 403 and `code: "SERVICE_WINDOW_CLOSED"`.
+ */
+router.post("/messages/forward", async (req, res) => {
+  try {
+    const { message_ids, targets } = req.body;
+    
+    if (!Array.isArray(message_ids) || message_ids.length === 0 || message_ids.length > MAX_FORWARD_MESSAGES) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `message_ids must list 1 to ${MAX_FORWARD_MESSAGES} messages` 
+      });
+    }
+    
+    if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_FORWARD_TARGETS || 
+        targets.some(target => !target?.wa_id || !target.phone_number_id)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `targets must list 1 to ${MAX_FORWARD_TARGETS} conversations, each with a wa_id and phone_number_id` 
+      });
+    }
+    
+    const ids = [...new Set(message_ids)];
+    const originals = ids.every(id => mongoose.Types.ObjectId.isValid(id))
+      ? await Message.find({ _id: { $in: ids }, ...Message.visibleTo(req.user._id) }).sort({ timestamp: 1 }).lean()
+      : [];
+    
+    if (originals.length !== ids.length) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Some messages were not found" 
+      });
+    }
+    
+    const problem = originals.map(checkForwardable).find(Boolean);
+    if (problem) {
+      return res.status(400).json({ 
+        success: false, 
+        message: problem 
+      });
+    }
+    
+    const copies = originals.map(buildForwardCopy);
+    const onlyTemplates = copies.every(copy => copy.content_type === "template");
+    const contacts = await Contact.find({ wa_id: { $in: targets.map(target => target.wa_id) } });
+    
+    const docs = [];
+    const skipped = [];
+    const now = Date.now();
+    for (const target of targets) {
+      const { wa_id, phone_number_id } = target;
+      
+      if (!onlyTemplates) {
+        const serviceWindow = await Message.serviceWindow(wa_id, phone_number_id);
+        if (!serviceWindow.open) {
+          skipped.push({ wa_id, phone_number_id, code: SERVICE_WINDOW_CLOSED });
+          continue;
+        }
+      }
+      
+      const contact = contacts.find(c => c.wa_id === wa_id);
+      for (const copy of copies) {
+        // A millisecond apart so the copies keep their order in the chat and the queue
+        const timestamp = new Date(now + docs.length);
+        docs.push({
+          wa_id: wa_id,
+          name: contact?.display_name || `User ${wa_id}`,
+          number: contact?.number || wa_id,
+          from: "me",
+          to: wa_id,
+          phone_number_id,
+          ...copy,
+          is_forwarded: true,
+          timestamp,
+          status: "pending",
+          next_attempt_at: timestamp,
+          msg_id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          sent_by: req.user._id
+        });
+      }
+    }
+    
+    if (docs.length === 0) {
+      return res.status(403).json({ 
+        success: false, 
+        code: SERVICE_WINDOW_CLOSED,
+        message: "The 24-hour customer service window has closed for every chosen chat; only template messages can be sent",
+        skipped
+      });
+    }
+    
+    const forwarded = await Message.insertMany(docs);
+    // One message per chat is enough to make sure its contact exists
+    for (const message of new Map(forwarded.map(m => [m.wa_id, m])).values()) {
+      await Contact.ensureFromMessage(message);
+    }
+    await Message.populate(forwarded, { path: 'sent_by', select: 'username display_name' });
+    
+    forwarded.forEach(message => emitNewMessage(req.io, message));
+    kickOutboundQueue();
+    
+    res.json({ 
+      success: true, 
+      messages: forwarded,
+      skipped 
+    });
+    
+  } catch (err) {
+    console.error("Forward messages error:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Retry sending one of our messages that failed. It goes back to "pending"
+ * with a fresh set of attempts. Free-form messages need an open customer
+ * service window, as when sending.
+ */
+router.post("/messages/:messageId/retry", async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    
+    const message = mongoose.Types.ObjectId.isValid(messageId) 
+      ? await Message.findOne({ _id: messageId, from: "me", ...Message.visibleTo(req.user._id) }) 
+      : null;
+    
+    if (!message) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Message not found" 
+      });
+    }
+    
+    if (message.status !== "failed") {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Only failed messages can be retried" 
+      });
+    }
+    
+    if (message.content_type !== "template" && 
+        await rejectOutsideServiceWindow(res, message.wa_id, message.phone_number_id)) {
+      return;
+    }
+    
+    await message.requeue();
+    emitStatusUpdate(req.io, message, "pending");
+    kickOutboundQueue();
+    
+    res.json({ 
+      success: true, 
+      message 
+    });
+    
+  } catch (err) {
+    console.error("Error retrying message:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Mark a conversation read up to `message_id`, the newest message the agent
+ * has actually seen (defaults to the newest message in the chat). Moves the
+ * conversation's read cursor forward and emits status events only for the
+ * messages that changed.
  */
 router.patch("/messages/:wa_id/read", async (req, res) => {
   try {
     const { wa_id } = req.params;
+    const { message_id } = req.body || {};
     
-    const result = await Message.updateMany(
-      { wa_id, from: "remote", status: { $in: ["sent", "delivered"] } },
-      { status: "read" }
-    );
-    
-    // Emit read status update
-    const updatedMessages = await Message.find({ 
+    const conversation = { 
       wa_id, 
-      from: "remote", 
-      status: "read" 
+      ...numberScope(req.query.phone_number_id), 
+      ...Message.visibleTo(req.user._id) 
+    };
+    
+    let message;
+    if (message_id) {
+      message = mongoose.Types.ObjectId.isValid(message_id) 
+        ? await Message.findOne({ _id: message_id, ...conversation }) 
+        : null;
+      
+      if (!message) {
+        return res.status(404).json({ 
+          success: false, 
+          message: "Message not found" 
+        });
+      }
+    } else {
+      message = await Message.findOne(conversation).sort({ timestamp: -1, _id: -1 });
+      
+      if (!message) {
+        return res.json({ success: true, updated: 0 });
+      }
+    }
+    
+    const cursor = await ReadCursor.advance(message, req.user._id);
+    const changed = cursor ? await Message.markReadUpTo(message) : [];
+    
+    // Lets every agent's chat list refresh its unread count
+    if (cursor) {
+      req.io.emit("conversation:read", { 
+        wa_id, 
+        phone_number_id: cursor.phone_number_id,
+        last_read_message: cursor.last_read_message
+      });
+    }
+    
+    changed.forEach(msg => emitStatusUpdate(req.io, msg, "read"));
+    
+    res.json({ 
+      success: true, 
+      updated: changed.length,
+      cursor
+    });
+    
+  } catch (err) {
+    console.error("Error marking messages as read:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Edit the text of one of our own messages (within EDIT_WINDOW_MINUTES).
+ * The previous text is kept in `edit_history`.
+ */
+router.patch("/messages/:messageId", async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const content = req.body.content?.trim();
+    
+    if (!content) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "content is required" 
+      });
+    }
+    
+    const message = mongoose.Types.ObjectId.isValid(messageId) 
+      ? await Message.findById(messageId) 
+      : null;
+    
+    if (!message) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Message not found" 
+      });
+    }
+    
+    if (!message.canEdit(req.user._id)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only your own recent text messages can be edited" 
+      });
+    }
+    
+    if (content !== message.content) {
+      await message.edit(content);
+      
+      req.io.emit("message:edited", { 
+        messageId: message._id,
+        wa_id: message.wa_id,
+        content: message.content,
+        edited_at: message.edited_at
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message 
+    });
+    
+  } catch (err) {
+    console.error("Error editing message:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
     });
+  }
+});
+
+/**
+ * Star or unstar a message. Pass `{ starred: true|false }`; without it the
+ * star is toggled.
+ */
+router.patch("/messages/:messageId/star", async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { starred } = req.body;
     
-    updatedMessages.forEach(msg => {
-      req.io.emit("message:status_update", { 
-        messageId: msg._id, 
-        msg_id: msg.msg_id,
-        status: "read",
-        wa_id: msg.wa_id
+    if (starred !== undefined && typeof starred !== "boolean") {
+      return res.status(400).json({ 
+        success: false, 
+        message: "starred must be a boolean" 
       });
+    }
+    
+    const message = mongoose.Types.ObjectId.isValid(messageId) 
+      ? await Message.findOne({ _id: messageId, ...Message.visibleTo(req.user._id) }) 
+      : null;
+    
+    if (!message) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Message not found" 
+      });
+    }
+    
+    if (starred === undefined || starred !== message.is_starred) {
+      await message.star();
+      
+      req.io.emit("message:starred", { 
+        messageId: message._id,
+        wa_id: message.wa_id,
+        is_starred: message.is_starred
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message 
+    });
+    
+  } catch (err) {
+    console.error("Error starring message:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
     });
+  }
+});
+
+/**
+ * React to a message with `{ emoji }`, replacing the business's earlier
+ * reaction; an empty emoji removes it. The reaction is passed on to the
+ * contact through the provider, so the customer service window applies.
+ */
+router.patch("/messages/:messageId/reaction", async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const emoji = req.body.emoji || "";
+    
+    const problem = checkReactionEmoji(emoji);
+    if (problem) {
+      return res.status(400).json({ 
+        success: false, 
+        message: problem 
+      });
+    }
+    
+    const message = mongoose.Types.ObjectId.isValid(messageId) 
+      ? await Message.findOne({ _id: messageId, is_deleted: false, ...Message.visibleTo(req.user._id) }) 
+      : null;
+    
+    if (!message) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Message not found" 
+      });
+    }
+    
+    if (await rejectOutsideServiceWindow(res, message.wa_id, message.phone_number_id)) {
+      return;
+    }
+    
+    // Resolved first, so a misconfigured provider fails the request before
+    // the reaction is stored and shown
+    const provider = getProvider();
+    
+    await message.setReaction("me", emoji, { userId: req.user._id });
+    emitReaction(req.io, message);
+    
+    // Messages the provider hasn't given an id yet can't be reacted to there
+    const providerId = message.meta_msg_id || (message.from === "remote" && message.msg_id);
+    if (providerId && provider.sendReaction) {
+      provider.sendReaction(message, emoji).catch(err => 
+        console.error(`❌ Error sending reaction to ${providerId}:`, err.message)
+      );
+    }
     
     res.json({ 
       success: true, 
-      updated: result.modifiedCount 
+      message 
     });
     
   } catch (err) {
-    console.error("Error marking messages as read:", err);
+    console.error("Error reacting to message:", err);
     res.status(500).json({ 
       success: false, 
       error: err.message 
@@ -307,26 +1120,60 @@ router.patch("/messages/:wa_id/read", async (req, res) => {
 });
 
 /**
- * Delete a message
+ * Delete a message. `?scope=me` (default) hides it for the current agent only;
+ * `?scope=everyone` replaces one of our own messages with a "deleted" tombstone,
+ * within DELETE_FOR_EVERYONE_WINDOW_HOURS of sending it.
  */
 router.delete("/messages/:messageId", async (req, res) => {
   try {
     const { messageId } = req.params;
+    const { scope = "me" } = req.query;
+    
+    if (!["me", "everyone"].includes(scope)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'scope must be "me" or "everyone"' 
+      });
+    }
     
-    const deletedMessage = await Message.findByIdAndDelete(messageId);
+    const message = mongoose.Types.ObjectId.isValid(messageId) 
+      ? await Message.findById(messageId) 
+      : null;
     
-    if (!deletedMessage) {
+    if (!message) {
       return res.status(404).json({ 
         success: false, 
         message: "Message not found" 
       });
     }
     
-    // Emit deletion event
-    req.io.emit("message:deleted", { 
-      messageId: deletedMessage._id,
-      wa_id: deletedMessage.wa_id 
-    });
+    if (scope === "everyone") {
+      if (!message.canDeleteForEveryone()) {
+        return res.status(403).json({ 
+          success: false, 
+          message: "Only your own recent messages can be deleted for everyone" 
+        });
+      }
+      
+      await message.softDelete();
+      
+      // Everyone sees the tombstone
+      req.io.emit("message:deleted", { 
+        messageId: message._id,
+        wa_id: message.wa_id,
+        scope,
+        message
+      });
+    } else {
+      await message.hideFor(req.user._id);
+      
+      // Only this agent's sessions drop the message
+      req.io.to(`user_${req.user._id}`).emit("message:deleted", { 
+        messageId: message._id,
+        wa_id: message.wa_id,
+        scope
+      });
+    }
     
     res.json({ 
       success: true, 
@@ -349,28 +1196,31 @@ router.get("/conversations/:wa_id/info", async (req, res) => {
   try {
     const { wa_id } = req.params;
     
-    const conversation = await Message.findOne({ wa_id })
-      .sort({ timestamp: -1 })
-      .select('name number wa_id')
-      .lean();
+    const [contact, messageCount] = await Promise.all([
+      Contact.findOne({ wa_id }),
+      Message.countDocuments({ wa_id, ...Message.visibleTo(req.user._id) })
+    ]);
     
-    if (!conversation) {
+    if (!contact && messageCount === 0) {
       return res.status(404).json({ 
         success: false, 
         message: "Conversation not found" 
       });
     }
     
-    const messageCount = await Message.countDocuments({ wa_id });
+    const info = contact || Contact.hydrate({ wa_id, number: wa_id });
     
     res.json({
       success: true,
       conversation: {
-        wa_id: conversation.wa_id,
-        name: conversation.name || `User ${conversation.wa_id}`,
-        number: conversation.number,
+        wa_id,
+        name: info.display_name,
+        profile_name: info.profile_name,
+        custom_name: info.custom_name,
+        number: info.number,
+        about: info.about,
         messageCount,
-        avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(conversation.name || conversation.wa_id)}&background=25d366&color=fff`
+        avatar: info.avatar_url
       }
     });
     
@@ -383,4 +1233,36 @@ router.get("/conversations/:wa_id/info", async (req, res) => {
   }
 });
 
+/**
+ * Update the details we keep about a contact (custom name, avatar, about text)
+ */
+router.patch("/contacts/:wa_id", async (req, res) => {
+  try {
+    const { wa_id } = req.params;
+    const update = {};
+    
+    for (const field of ["custom_name", "avatar", "about"]) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+    
+    const contact = await Contact.findOneAndUpdate(
+      { wa_id },
+      { $set: update, $setOnInsert: { number: wa_id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    
+    res.json({ 
+      success: true, 
+      contact 
+    });
+    
+  } catch (err) {
+    console.error("Error updating contact:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
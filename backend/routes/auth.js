@@ -0,0 +1,137 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { body, validationResult } from "express-validator";
+import User from "../models/User.js";
+import { signToken, requireAuth, getUserFromToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: "Too many attempts, please try again later" }
+});
+
+const credentialRules = [
+  body("username").isString().trim().isLength({ min: 3, max: 30 })
+    .withMessage("Username must be 3-30 characters"),
+  body("password").isString().isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters")
+];
+
+const loginRules = [
+  body("username").isString().trim().notEmpty().withMessage("Username is required"),
+  body("password").isString().notEmpty().withMessage("Password is required")
+];
+
+// Reply 400 with the first validation error, if any
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  
+  res.status(400).json({ 
+    success: false, 
+    message: errors.array()[0].msg 
+  });
+  return true;
+}
+
+// Sign-up is closed unless ALLOW_REGISTRATION=true, since every agent can
+// read every conversation. Logged-in agents can always add colleagues.
+async function allowRegistration(req, res, next) {
+  try {
+    if (process.env.ALLOW_REGISTRATION === "true") return next();
+    
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    req.user = scheme === "Bearer" ? await getUserFromToken(token) : null;
+    if (req.user) return next();
+    
+    res.status(403).json({ 
+      success: false, 
+      message: "Registration is closed; ask an existing agent to create your account" 
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Create an agent account. Self sign-up (with ALLOW_REGISTRATION=true) also
+ * starts a session for it; accounts created by a logged-in agent don't.
+ */
+router.post("/register", authLimiter, allowRegistration, credentialRules, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+  
+  try {
+    const { username, password, display_name } = req.body;
+    
+    if (await User.exists({ username: username.toLowerCase() })) {
+      return res.status(409).json({ 
+        success: false, 
+        message: "Username is already taken" 
+      });
+    }
+    
+    const user = await User.register({ username, password, display_name });
+    
+    res.status(201).json({ 
+      success: true, 
+      ...(!req.user && { token: signToken(user) }), 
+      user 
+    });
+    
+  } catch (err) {
+    console.error("Register error:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Log in with username and password
+ */
+router.post("/login", authLimiter, loginRules, async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+  
+  try {
+    const { username, password } = req.body;
+    const user = await User.authenticate(username, password);
+    
+    if (!user) {
+      return res.status(401).json({ 
+        success: false, 
+        message: "Invalid username or password" 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      token: signToken(user), 
+      user 
+    });
+    
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Get the user of the current session
+ */
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ 
+    success: true, 
+    user: req.user 
+  });
+});
+
+export default router;
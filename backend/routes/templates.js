@@ -0,0 +1,168 @@
+import express from "express";
+import mongoose from "mongoose";
+import Template from "../models/Template.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ["name", "language", "category", "header", "body", "footer", "buttons"];
+
+router.use(requireAuth);
+
+// The template fields present in a request body
+function pickTemplateFields(body) {
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+}
+
+// Validation problems and duplicate names are the client's fault
+function sendSaveError(res, err, action) {
+  if (err.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(err.errors)[0].message
+    });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A template with this name and language already exists"
+    });
+  }
+
+  console.error(`Error ${action} template:`, err);
+  res.status(500).json({
+    success: false,
+    error: err.message
+  });
+}
+
+async function findTemplate(req, res) {
+  const { templateId } = req.params;
+  const template = mongoose.Types.ObjectId.isValid(templateId)
+    ? await Template.findById(templateId)
+    : null;
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: "Template not found"
+    });
+  }
+  return template;
+}
+
+/**
+ * List templates by name, optionally for one `language`
+ */
+router.get("/", async (req, res) => {
+  try {
+    const filter = req.query.language ? { language: req.query.language } : {};
+    const templates = await Template.find(filter).sort({ name: 1, language: 1 });
+
+    res.json({
+      success: true,
+      templates
+    });
+
+  } catch (err) {
+    console.error("Error fetching templates:", err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Get one template
+ */
+router.get("/:templateId", async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (err) {
+    console.error("Error fetching template:", err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Create a template. Header and body placeholders must be numbered `{{1}}`,
+ * `{{2}}`… without gaps.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const template = await Template.create({
+      ...pickTemplateFields(req.body),
+      created_by: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (err) {
+    sendSaveError(res, err, "creating");
+  }
+});
+
+/**
+ * Update a template. Messages already sent keep the version they were sent with.
+ */
+router.patch("/:templateId", async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    template.set(pickTemplateFields(req.body));
+    await template.save();
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (err) {
+    sendSaveError(res, err, "updating");
+  }
+});
+
+/**
+ * Delete a template
+ */
+router.delete("/:templateId", async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      templateId: template._id
+    });
+
+  } catch (err) {
+    console.error("Error deleting template:", err);
+    res.status(500).json({
+      success: false,
+      error: err.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,135 @@
+// Local stand-in for the WhatsApp Cloud API, for developing and testing the
+// "cloud" message provider without a Meta app.
+// Usage: node scripts/mock_graph_server.js
+//   MOCK_GRAPH_PORT         port to listen on (default 5055)
+//   MOCK_GRAPH_ACCESS_TOKEN token senders must use (any bearer token if unset)
+//   MOCK_GRAPH_WEBHOOK_URL  where to post sent/delivered/read status webhooks,
+//                           e.g. http://localhost:4000/api/webhook
+//   WHATSAPP_APP_SECRET     signs those webhooks like Meta does
+// Then run the backend with MESSAGE_PROVIDER=cloud and
+// GRAPH_API_BASE_URL=http://localhost:5055.
+//
+// Text containing "#fail" is rejected as an undeliverable recipient and
+// "#ratelimit" gets a 429, so both queue failure paths can be exercised.
+
+import crypto from "crypto";
+import express from "express";
+import { pathToFileURL } from "url";
+import dotenv from "dotenv";
+
+const MESSAGE_TYPES = ["text", "image", "audio", "video", "document", "sticker", "template", "interactive", "location", "contacts", "reaction"];
+
+// Graph API style error response
+function graphError(res, status, code, message) {
+  return res.status(status).json({
+    error: { message, type: status === 401 ? "OAuthException" : "GraphMethodException", code, fbtrace_id: crypto.randomBytes(8).toString("hex") }
+  });
+}
+
+// Problems the real API would reject the request for, or null
+function validateMessage(body) {
+  if (body?.messaging_product !== "whatsapp") return "messaging_product must be \"whatsapp\"";
+  if (!body.to) return "The parameter to is required.";
+  if (!MESSAGE_TYPES.includes(body.type)) return `Unsupported message type "${body.type}"`;
+  if (!body[body.type]) return `The parameter ${body.type} is required.`;
+  if (body.type === "text" && !body.text.body) return "The parameter text['body'] is required.";
+  if (["image", "audio", "video", "document", "sticker"].includes(body.type) && !body[body.type].link && !body[body.type].id) {
+    return `The parameter ${body.type}['link'] or ${body.type}['id'] is required.`;
+  }
+  if (body.type === "template" && (!body.template.name || !body.template.language?.code)) {
+    return "The parameters template['name'] and template['language']['code'] are required.";
+  }
+  return null;
+}
+
+async function postStatus(webhookUrl, appSecret, { phoneNumberId, id, to, status }) {
+  const payload = JSON.stringify({
+    object: "whatsapp_business_account",
+    entry: [{
+      id: "mock-waba",
+      changes: [{
+        field: "messages",
+        value: {
+          messaging_product: "whatsapp",
+          metadata: { display_phone_number: phoneNumberId, phone_number_id: phoneNumberId },
+          statuses: [{ id, status, timestamp: String(Math.floor(Date.now() / 1000)), recipient_id: to }]
+        }
+      }]
+    }]
+  });
+
+  const headers = { "Content-Type": "application/json" };
+  if (appSecret) {
+    headers["X-Hub-Signature-256"] = "sha256=" + crypto.createHmac("sha256", appSecret).update(payload).digest("hex");
+  }
+
+  try {
+    await fetch(webhookUrl, { method: "POST", headers, body: payload });
+  } catch (err) {
+    console.error(`❌ Could not post ${status} webhook for ${id}:`, err.message);
+  }
+}
+
+/**
+ * Express app answering `POST /:version/:phoneNumberId/messages` like the
+ * Cloud API. Accepted requests are kept in `app.locals.messages`.
+ */
+export function createMockGraphServer({
+  accessToken = process.env.MOCK_GRAPH_ACCESS_TOKEN,
+  webhookUrl = process.env.MOCK_GRAPH_WEBHOOK_URL,
+  appSecret = process.env.WHATSAPP_APP_SECRET,
+  statusDelayMs = 1000
+} = {}) {
+  const app = express();
+  app.use(express.json());
+  app.locals.messages = [];
+
+  app.post("/:version/:phoneNumberId/messages", (req, res) => {
+    const token = req.get("Authorization")?.replace(/^Bearer\s+/i, "");
+    if (!token || (accessToken && token !== accessToken)) {
+      return graphError(res, 401, 190, "Invalid OAuth access token.");
+    }
+
+    const problem = validateMessage(req.body);
+    if (problem) {
+      return graphError(res, 400, 100, `(#100) ${problem}`);
+    }
+
+    const text = JSON.stringify(req.body);
+    if (text.includes("#ratelimit")) {
+      return graphError(res, 429, 130429, "(#130429) Rate limit hit");
+    }
+    if (text.includes("#fail")) {
+      return graphError(res, 400, 131026, "(#131026) Message undeliverable");
+    }
+
+    const { phoneNumberId } = req.params;
+    const { to } = req.body;
+    const id = `wamid.${Buffer.from(crypto.randomUUID()).toString("base64url")}`;
+    app.locals.messages.push({ id, phoneNumberId, body: req.body });
+
+    if (webhookUrl) {
+      ["sent", "delivered", "read"].forEach((status, i) => {
+        setTimeout(() => postStatus(webhookUrl, appSecret, { phoneNumberId, id, to, status }), statusDelayMs * (i + 1));
+      });
+    }
+
+    res.json({
+      messaging_product: "whatsapp",
+      contacts: [{ input: to, wa_id: to }],
+      messages: [{ id }]
+    });
+  });
+
+  app.use((req, res) => graphError(res, 404, 100, `Unknown path ${req.method} ${req.path}`));
+
+  return app;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config();
+  const port = Number(process.env.MOCK_GRAPH_PORT || 5055);
+  createMockGraphServer().listen(port, () => {
+    console.log(`🧪 Mock Graph API listening on http://localhost:${port}`);
+  });
+}
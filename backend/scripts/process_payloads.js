@@ -5,6 +5,9 @@ import fs from "fs";
 import path from "path";
 import mongoose from "mongoose";
 import Message from "../models/Message.js";
+import Contact from "../models/Contact.js";
+import BusinessNumber from "../models/BusinessNumber.js";
+import { normalizePayload, buildMessageIdQuery } from "../utils/payloadNormalizer.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -49,26 +52,20 @@ async function processPayload(payload, filename) {
   const results = { inserted: 0, updated: 0, errors: 0, duplicates: 0 };
   
   try {
-    // Handle different payload types
-    if (payload.messages || payload.type === "message" || payload.message) {
-      await processMessages(payload, filename, results);
-    } 
-    else if (payload.type === "status" || payload.status_update || payload.statuses) {
-      await processStatusUpdates(payload, filename, results);
-    }
-    else if (payload.contacts) {
-      await processContacts(payload, filename, results);
-    }
-    else if (Array.isArray(payload)) {
-      // Handle array of payloads
-      for (const item of payload) {
-        await processPayload(item, filename);
-      }
-    }
-    else {
-      // Try to process as a single message
-      await processSingleMessage(payload, filename, results);
+    // Handle different payload types through the shared normalizer
+    const { messages, statuses, reactions, contacts, numbers, skipped } = normalizePayload(payload);
+    
+    if (skipped > 0) {
+      log(`Skipped ${skipped} unrecognized item(s) in ${filename}`, 'warning');
+      results.errors += skipped;
     }
+    
+    await processContacts(contacts, filename, results);
+    // Business numbers named in the payload show up in the number switcher
+    await BusinessNumber.registerAll(numbers);
+    await processMessages(messages, filename, results);
+    await processStatusUpdates(statuses, filename, results);
+    await processReactions(reactions, filename, results);
   } catch (error) {
     log(`Error processing payload from ${filename}: ${error.message}`, 'error');
     results.errors++;
@@ -78,21 +75,17 @@ async function processPayload(payload, filename) {
 }
 
 // Process messages
-async function processMessages(payload, filename, results) {
-  const messages = payload.messages || [payload.message || payload];
-  
-  for (const msg of messages) {
+async function processMessages(messages, filename, results) {
+  for (const doc of messages) {
     try {
-      // Check for duplicates first
-      const existingMessage = await findExistingMessage(msg);
-      if (existingMessage) {
-        if (verbose) log(`Duplicate message found, skipping: ${msg.id || msg.msg_id}`, 'debug');
+      // Duplicates are detected on the provider message id
+      const { message: newMessage, inserted } = await Message.createIfNotExists(doc);
+      if (!inserted) {
+        if (verbose) log(`Duplicate message found, skipping: ${doc.msg_id || doc.meta_msg_id}`, 'debug');
         results.duplicates++;
         continue;
       }
-      
-      const doc = createMessageDocument(msg, payload, filename);
-      const newMessage = await Message.create(doc);
+      await Contact.ensureFromMessage(newMessage);
       
       results.inserted++;
       if (verbose) {
@@ -107,203 +100,58 @@ async function processMessages(payload, filename, results) {
 }
 
 // Process status updates
-async function processStatusUpdates(payload, filename, results) {
-  try {
-    const statuses = payload.statuses || [payload];
-    
-    for (const statusUpdate of statuses) {
-      const idToFind = statusUpdate.id || statusUpdate.msg_id || statusUpdate.meta_msg_id || payload.id;
-      const status = statusUpdate.status || statusUpdate.status_update || payload.status || "delivered";
-      
-      if (!idToFind) {
-        log(`No message ID found in status update from ${filename}`, 'warning');
-        continue;
-      }
-      
-      const query = { 
-        $or: [
-          { msg_id: idToFind }, 
-          { meta_msg_id: idToFind },
-          { _id: mongoose.Types.ObjectId.isValid(idToFind) ? idToFind : null }
-        ].filter(q => q._id !== null)
-      };
-      
-      const updateResult = await Message.updateMany(query, { 
-        status,
-        ...(status === 'read' && { read_at: new Date() }),
-        ...(status === 'delivered' && { delivered_at: new Date() })
-      });
+async function processStatusUpdates(statuses, filename, results) {
+  for (const { ids, status, timestamp, error_message } of statuses) {
+    try {
+      // Out-of-order updates keep their timestamp but never move the status back
+      const changed = await Message.applyStatus(buildMessageIdQuery(ids), status, timestamp, { error_message });
       
-      results.updated += updateResult.modifiedCount;
+      results.updated += changed.length;
       
       if (verbose) {
-        log(`Status update ${filename}: ${idToFind} -> ${status} (modified: ${updateResult.modifiedCount})`, 'debug');
+        log(`Status update ${filename}: ${ids.join(', ')} -> ${status} (modified: ${changed.length})`, 'debug');
       }
+    } catch (error) {
+      log(`Error processing status update from ${filename}: ${error.message}`, 'error');
+      results.errors++;
     }
-  } catch (error) {
-    log(`Error processing status update from ${filename}: ${error.message}`, 'error');
-    results.errors++;
   }
 }
 
-// Process contacts (for future use)
-async function processContacts(payload, filename, results) {
-  // This could be used to update user names/info
-  log(`Contact processing not implemented yet for ${filename}`, 'warning');
-}
-
-// Process single message (fallback)
-async function processSingleMessage(payload, filename, results) {
-  try {
-    // Check if it looks like a message
-    if (payload.id || payload.message_id || payload.content || payload.text) {
-      const existingMessage = await findExistingMessage(payload);
-      if (existingMessage) {
-        results.duplicates++;
-        return;
+// Process reactions - each one replaces its sender's earlier reaction
+async function processReactions(reactions, filename, results) {
+  for (const { ids, emoji, from, timestamp } of reactions) {
+    try {
+      const message = await Message.findOne(buildMessageIdQuery(ids));
+      if (!message) {
+        if (verbose) log(`Reaction ${filename}: message ${ids.join(', ')} not found`, 'debug');
+        continue;
       }
       
-      const doc = createMessageDocument(payload, payload, filename);
-      await Message.create(doc);
-      results.inserted++;
+      await message.setReaction(from, emoji, { timestamp });
+      results.updated++;
       
       if (verbose) {
-        log(`Inserted single message from ${filename}`, 'debug');
+        log(`Reaction ${filename}: ${ids.join(', ')} -> ${emoji || '(removed)'}`, 'debug');
       }
-    } else {
-      log(`Unknown payload format in ${filename}, skipping`, 'warning');
+    } catch (error) {
+      log(`Error processing reaction from ${filename}: ${error.message}`, 'error');
       results.errors++;
     }
-  } catch (error) {
-    log(`Error processing single message from ${filename}: ${error.message}`, 'error');
-    results.errors++;
   }
 }
 
-// Create message document with enhanced field mapping
-function createMessageDocument(msg, payload, filename) {
-  const now = new Date();
+// Process contacts - stores/refreshes the WhatsApp profile names
+async function processContacts(contacts, filename, results) {
+  if (contacts.length === 0) return;
   
-  return {
-    // Core identifiers
-    wa_id: msg.wa_id || msg.from || payload.wa_id || payload.from || "unknown",
-    name: msg.name || payload.name || msg.profile?.name || `User ${msg.wa_id || msg.from || 'unknown'}`,
-    number: msg.number || payload.number || msg.profile?.phone,
-    
-    // Message IDs
-    msg_id: msg.id || msg.msg_id || msg.message_id,
-    meta_msg_id: msg.meta_msg_id || msg.wamid,
-    
-    // Direction and participants
-    from: determineMessageDirection(msg, payload),
-    to: msg.to || payload.to || "me",
-    
-    // Content
-    content: extractMessageContent(msg),
-    content_type: msg.type || msg.content_type || determineContentType(msg),
-    
-    // Media information
-    ...(msg.image && { 
-      media_url: msg.image.link || msg.image.url,
-      media_mime_type: msg.image.mime_type,
-      content_type: 'image'
-    }),
-    ...(msg.audio && { 
-      media_url: msg.audio.link || msg.audio.url,
-      media_mime_type: msg.audio.mime_type,
-      content_type: 'audio'
-    }),
-    ...(msg.video && { 
-      media_url: msg.video.link || msg.video.url,
-      media_mime_type: msg.video.mime_type,
-      content_type: 'video'
-    }),
-    ...(msg.document && { 
-      media_url: msg.document.link || msg.document.url,
-      media_mime_type: msg.document.mime_type,
-      content_type: 'document'
-    }),
-    
-    // Timing
-    timestamp: parseTimestamp(msg.timestamp || payload.timestamp) || now,
-    
-    // Status
-    status: msg.status || payload.status || "sent",
-    
-    // Additional fields
-    is_forwarded: msg.forwarded || false,
-    
-    // Reply information
-    ...(msg.context?.quoted_message && {
-      reply_to_content: msg.context.quoted_message.body?.substring(0, 100)
-    }),
-    
-    // Raw payload for debugging
-    raw_payload: {
-      original: msg,
-      filename: filename,
-      processed_at: now
-    }
-  };
-}
-
-// Helper functions
-function determineMessageDirection(msg, payload) {
-  if (msg.from === "me" || payload.from === "me") return "me";
-  if (msg.direction === "outbound" || payload.direction === "outbound") return "me";
-  if (msg.sender === "me" || payload.sender === "me") return "me";
-  return "remote";
-}
-
-function extractMessageContent(msg) {
-  // Try different content fields
-  return msg.text?.body || 
-         msg.body?.text || 
-         msg.content || 
-         msg.text || 
-         msg.caption ||
-         (msg.type && msg.type !== 'text' ? `📎 ${msg.type}` : '') ||
-         JSON.stringify(msg).substring(0, 1000);
-}
-
-function determineContentType(msg) {
-  if (msg.image) return 'image';
-  if (msg.audio) return 'audio';
-  if (msg.video) return 'video';
-  if (msg.document) return 'document';
-  if (msg.location) return 'location';
-  if (msg.contacts) return 'contact';
-  if (msg.sticker) return 'sticker';
-  return 'text';
-}
-
-function parseTimestamp(timestamp) {
-  if (!timestamp) return null;
-  
-  // Handle different timestamp formats
-  if (typeof timestamp === 'number') {
-    // Unix timestamp (seconds or milliseconds)
-    return new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp);
-  }
-  
-  if (typeof timestamp === 'string') {
-    return new Date(timestamp);
+  try {
+    await Contact.upsertProfiles(contacts);
+    if (verbose) log(`Updated ${contacts.length} contact(s) from ${filename}`, 'debug');
+  } catch (error) {
+    log(`Error processing contacts from ${filename}: ${error.message}`, 'error');
+    results.errors++;
   }
-  
-  return new Date(timestamp);
-}
-
-async function findExistingMessage(msg) {
-  const conditions = [];
-  
-  if (msg.id) conditions.push({ msg_id: msg.id });
-  if (msg.msg_id) conditions.push({ msg_id: msg.msg_id });
-  if (msg.meta_msg_id) conditions.push({ meta_msg_id: msg.meta_msg_id });
-  if (msg.wamid) conditions.push({ meta_msg_id: msg.wamid });
-  
-  if (conditions.length === 0) return null;
-  
-  return await Message.findOne({ $or: conditions });
 }
 
 // Main execution function
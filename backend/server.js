@@ -4,6 +4,12 @@ import { Server as IOServer } from "socket.io";
 import cors from "cors";
 import bodyParser from "body-parser";
 import apiRoutes from "./routes/api.js";
+import authRoutes from "./routes/auth.js";
+import templateRoutes from "./routes/templates.js";
+import { authenticateSocket } from "./middleware/auth.js";
+import { getStorage } from "./services/storage/index.js";
+import { setMediaHeaders } from "./services/media.js";
+import { startOutboundQueue } from "./services/outboundQueue.js";
 import connectDB from "./config/db.js";
 import dotenv from "dotenv";
 
@@ -32,10 +38,14 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 }));
 
-// Body parser middleware with enhanced limits
+// Body parser middleware with enhanced limits. The raw body is kept so the
+// webhook route can verify Meta's X-Hub-Signature-256 HMAC against it.
 app.use(bodyParser.json({ 
   limit: "10mb",
-  extended: true 
+  extended: true,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
 }));
 app.use(bodyParser.urlencoded({ 
   limit: "10mb", 
@@ -56,7 +66,17 @@ app.use((req, res, next) => {
   next(); 
 });
 
+// Uploaded media stored on local disk
+if (getStorage().name === "local") {
+  app.use(getStorage().publicPath, express.static(getStorage().directory, { 
+    maxAge: "7d",
+    setHeaders: setMediaHeaders
+  }));
+}
+
 // Routes
+app.use("/api/auth", authRoutes);
+app.use("/api/templates", templateRoutes);
 app.use("/api", apiRoutes);
 
 // Health check route
@@ -69,9 +89,18 @@ app.get("/", (req, res) => {
   });
 });
 
+// Send queued outbound messages
+startOutboundQueue(io);
+
+// Only logged-in agents may connect (token passed as `auth.token` in the handshake)
+io.use(authenticateSocket);
+
 // Socket connection handling
 io.on("connection", (socket) => {
-  console.log(`✅ Socket connected: ${socket.id} at ${new Date().toISOString()}`);
+  console.log(`✅ Socket connected: ${socket.id} (${socket.user.username}) at ${new Date().toISOString()}`);
+  
+  // Per-agent room for events that concern only this agent's sessions
+  socket.join(`user_${socket.user._id}`);
   
   // Handle user joining specific chat rooms
   socket.on("join_chat", (wa_id) => {
@@ -103,7 +132,8 @@ io.on("connection", (socket) => {
 
   // Handle typing indicators
   socket.on("typing_start", (data) => {
-    const { wa_id, userName } = data;
+    const { wa_id } = data;
+    const userName = socket.user.display_name;
     const roomName = `chat_${wa_id}`;
     socket.to(roomName).emit("user_typing", {
       userId: socket.id,
@@ -115,7 +145,8 @@ io.on("connection", (socket) => {
   });
 
   socket.on("typing_stop", (data) => {
-    const { wa_id, userName } = data;
+    const { wa_id } = data;
+    const userName = socket.user.display_name;
     const roomName = `chat_${wa_id}`;
     socket.to(roomName).emit("user_typing", {
       userId: socket.id,
@@ -0,0 +1,146 @@
+import path from "path";
+import sharp from "sharp";
+import { getStorage } from "./storage/index.js";
+
+const THUMBNAIL_WIDTH = 320;
+
+// Uploads we accept: the media types WhatsApp can send, mapped onto the
+// extension they are stored under. The client's file name never decides it,
+// so nothing like .html or .svg ends up being served from /uploads.
+const ALLOWED_UPLOADS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "audio/aac": ".aac",
+  "audio/amr": ".amr",
+  "audio/mpeg": ".mp3",
+  "audio/mp4": ".m4a",
+  "audio/ogg": ".ogg",
+  "video/mp4": ".mp4",
+  "video/3gpp": ".3gp",
+  "application/pdf": ".pdf",
+  "text/plain": ".txt",
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "application/vnd.ms-excel": ".xls",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx",
+  "application/vnd.ms-powerpoint": ".ppt",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": ".pptx"
+};
+
+const MIME_BY_EXTENSION = Object.fromEntries(
+  Object.entries(ALLOWED_UPLOADS).map(([mimetype, extension]) => [extension, mimetype])
+);
+
+// Stored files browsers may show inline; everything else is downloaded
+const INLINE_EXTENSIONS = [".jpg", ".png", ".webp", ".aac", ".amr", ".mp3", ".m4a", ".ogg", ".mp4", ".3gp"];
+
+/**
+ * Describe why an uploaded file can't be stored, or return null when it can
+ */
+export function checkUpload(file) {
+  if (!ALLOWED_UPLOADS[file.mimetype]) {
+    return `Files of type "${file.mimetype}" can't be sent; use an image, audio, video, PDF, text or Office file`;
+  }
+  return null;
+}
+
+/**
+ * `express.static` setHeaders for /uploads: never let browsers sniff a
+ * different type, and download anything that isn't image, audio or video
+ */
+export function setMediaHeaders(res, filePath) {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  if (!INLINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    res.setHeader("Content-Disposition", "attachment");
+  }
+}
+
+// MIME type prefixes mapped onto message content types
+const CONTENT_TYPE_BY_MIME = [
+  ["image/", "image"],
+  ["audio/", "audio"],
+  ["video/", "video"]
+];
+
+export function contentTypeForMime(mimetype = "") {
+  const match = CONTENT_TYPE_BY_MIME.find(([prefix]) => mimetype.startsWith(prefix));
+  return match ? match[1] : "document";
+}
+
+// Small JPEG preview for images; null when the image can't be decoded
+async function createThumbnail(buffer) {
+  try {
+    return await sharp(buffer)
+      .rotate() // Respect EXIF orientation
+      .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (err) {
+    console.warn("⚠️ Thumbnail generation failed:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Store an uploaded file (multer memory file, checked with checkUpload) and,
+ * for images, a thumbnail. Returns the media fields of a Message document.
+ */
+export async function storeUpload(file) {
+  const storage = getStorage();
+  const content_type = contentTypeForMime(file.mimetype);
+  
+  const stored = await storage.save({
+    buffer: file.buffer,
+    filename: file.originalname,
+    mimetype: file.mimetype,
+    extension: ALLOWED_UPLOADS[file.mimetype]
+  });
+  
+  let thumbnail_url;
+  if (content_type === "image") {
+    const thumbnail = await createThumbnail(file.buffer);
+    if (thumbnail) {
+      const storedThumbnail = await storage.save({
+        buffer: thumbnail,
+        filename: "thumbnail.jpg",
+        mimetype: "image/jpeg",
+        extension: ".jpg"
+      });
+      thumbnail_url = storedThumbnail.url;
+    }
+  }
+  
+  return {
+    content_type,
+    media_url: stored.url,
+    media_mime_type: file.mimetype,
+    media_size: file.size,
+    media_filename: file.originalname,
+    ...(thumbnail_url && { thumbnail_url })
+  };
+}
+
+/**
+ * The media fields of a message sending a file stored by storeUpload, from
+ * the `media_url` and `thumbnail_url` POST /media returned. Type and size are
+ * read from the stored file, never taken from the client. Returns null when
+ * either URL isn't a stored upload.
+ */
+export async function resolveStoredMedia({ media_url, thumbnail_url, media_filename }) {
+  const storage = getStorage();
+  
+  const stored = await storage.stat(media_url);
+  const media_mime_type = stored && MIME_BY_EXTENSION[path.extname(stored.key).toLowerCase()];
+  if (!media_mime_type) return null;
+  
+  if (thumbnail_url && !(await storage.stat(thumbnail_url))) return null;
+  
+  return {
+    media_url,
+    media_mime_type,
+    media_size: stored.size,
+    ...(typeof media_filename === "string" && media_filename.trim() && { media_filename: media_filename.trim() }),
+    ...(thumbnail_url && { thumbnail_url })
+  };
+}
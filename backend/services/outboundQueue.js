@@ -0,0 +1,144 @@
+import Message from "../models/Message.js";
+import { getProvider } from "./providers/index.js";
+import { emitStatusUpdate } from "../utils/socketEvents.js";
+
+// Outbound delivery. Our messages are stored as "pending" and this queue
+// hands them to the provider adapter one at a time. Pending messages in the
+// database *are* the queue, so nothing is lost on restart.
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.OUTBOUND_RETRY_BASE_MS || 2000);
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+
+// While a message is being sent it is hidden from the queue for this long,
+// so a send interrupted by a crash is retried afterwards
+const SEND_LEASE_MS = 60 * 1000;
+
+let io = null;
+let pollTimer = null;
+let draining = false;
+
+/**
+ * Wait before the next attempt after `attempt` failed: the base delay
+ * doubled for every earlier failure, capped at five minutes.
+ */
+export function retryDelay(attempt, baseMs = RETRY_BASE_MS) {
+  return Math.min(baseMs * 2 ** (attempt - 1), RETRY_MAX_MS);
+}
+
+async function updateStatus(messageId, status) {
+  const changed = await Message.applyStatus({ _id: messageId }, status);
+  if (io) changed.forEach(msg => emitStatusUpdate(io, msg, status));
+}
+
+// Claim the next due message and count the attempt. Messages deleted for
+// everyone are never sent. The quoted message's provider ids are loaded so
+// adapters can send replies in context.
+function claimNext() {
+  const now = new Date();
+  return Message.findOneAndUpdate(
+    { status: "pending", from: "me", is_deleted: false, next_attempt_at: { $lte: now } },
+    { 
+      $set: { next_attempt_at: new Date(now.getTime() + SEND_LEASE_MS) }, 
+      $inc: { delivery_attempts: 1 } 
+    },
+    { sort: { next_attempt_at: 1 }, new: true }
+  ).populate("reply_to", "msg_id meta_msg_id");
+}
+
+// Messages the provider accepted whose result couldn't be stored, as message
+// id → provider message id. When claimed again they are only recorded, never
+// sent a second time.
+const unrecorded = new Map();
+
+async function recordSent(messageId, id) {
+  await Message.updateOne(
+    { _id: messageId }, 
+    { $set: { meta_msg_id: id }, $unset: { next_attempt_at: 1, error_message: 1 } }
+  );
+  await updateStatus(messageId, "sent");
+}
+
+async function recordFailure(message, attempt, err) {
+  if (err.retryable !== false && attempt < MAX_ATTEMPTS) {
+    const delay = retryDelay(attempt);
+    console.warn(`⚠️ Send attempt ${attempt} for ${message._id} failed, retrying in ${delay}ms: ${err.message}`);
+    
+    await Message.updateOne(
+      { _id: message._id }, 
+      { error_message: err.message, next_attempt_at: new Date(Date.now() + delay) }
+    );
+  } else {
+    console.error(`❌ Sending ${message._id} failed after ${attempt} attempt(s): ${err.message}`);
+    
+    await Message.updateOne(
+      { _id: message._id }, 
+      { $set: { error_message: err.message }, $unset: { next_attempt_at: 1 } }
+    );
+    await updateStatus(message._id, "failed");
+  }
+}
+
+async function deliver(message) {
+  const attempt = message.delivery_attempts;
+  const key = String(message._id);
+  
+  // Only errors of the provider call itself decide whether to retry
+  let id = unrecorded.get(key);
+  if (!id) {
+    try {
+      ({ id } = await getProvider().send(message, { 
+        attempt, 
+        reportStatus: (status) => updateStatus(message._id, status).catch(err => 
+          console.error("❌ Error applying provider status:", err)
+        )
+      }));
+    } catch (err) {
+      await recordFailure(message, attempt, err);
+      return;
+    }
+  }
+  
+  try {
+    await recordSent(message._id, id);
+    unrecorded.delete(key);
+  } catch (err) {
+    // The message stays claimed; once the lease runs out it is recorded again
+    unrecorded.set(key, id);
+    console.error(`❌ ${message._id} was sent as ${id}, but storing that failed:`, err);
+  }
+}
+
+// Send every message that is due
+async function drain() {
+  if (draining) return;
+  draining = true;
+  
+  try {
+    let message;
+    while ((message = await claimNext())) {
+      await deliver(message);
+    }
+  } catch (err) {
+    console.error("❌ Outbound queue error:", err);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Start sending pending messages; status changes are emitted on `socketServer`
+ */
+export function startOutboundQueue(socketServer) {
+  io = socketServer;
+  if (!pollTimer) {
+    pollTimer = setInterval(drain, POLL_INTERVAL_MS);
+  }
+  drain();
+}
+
+// Send newly queued messages now instead of at the next poll
+export function kickOutboundQueue() {
+  return drain();
+}
@@ -0,0 +1,13 @@
+/**
+ * Error thrown by provider adapters when a send fails. `retryable` tells the
+ * outbound queue whether trying again later could succeed (timeouts, rate
+ * limits, 5xx) or not (invalid recipient, rejected content).
+ */
+export default class ProviderError extends Error {
+  constructor(message, { retryable = true, code } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.retryable = retryable;
+    this.code = code;
+  }
+}
@@ -0,0 +1,174 @@
+import ProviderError from "./ProviderError.js";
+import { toCloudInteractive } from "../../utils/interactiveMessages.js";
+import { toCloudLocation, toCloudContacts } from "../../utils/sharedCards.js";
+
+const MEDIA_TYPES = ["image", "audio", "video", "document", "sticker"];
+const CAPTIONED_TYPES = ["image", "video", "document"];
+
+// Graph API error codes worth another attempt besides HTTP 429 / 5xx
+// (rate limits, throttling and temporary outages)
+const RETRYABLE_ERROR_CODES = [1, 2, 4, 17, 80007, 130429, 131000, 131016, 131048, 131056];
+
+// Media URLs are stored relative to this server; the Graph API needs absolute links
+function absoluteUrl(url, publicUrl) {
+  if (/^https?:\/\//i.test(url) || !publicUrl) return url;
+  return `${publicUrl.replace(/\/$/, "")}${url.startsWith("/") ? "" : "/"}${url}`;
+}
+
+// Media messages without a caption store the file name or "📎 <type>" as content
+function captionOf(message) {
+  const content = message.content?.trim();
+  if (!content || content === message.media_filename || content.startsWith("📎 ")) return undefined;
+  return content;
+}
+
+/**
+ * Build the Cloud API `/messages` request body for a stored message. Text,
+ * media (sent by link), template, interactive, location and contact messages
+ * are supported; replies carry the quoted message's wamid as
+ * `context.message_id` when `reply_to` is populated.
+ */
+export function buildRequest(message, { publicUrl = process.env.PUBLIC_URL } = {}) {
+  const body = {
+    messaging_product: "whatsapp",
+    recipient_type: "individual",
+    to: message.to || message.wa_id
+  };
+
+  const quotedId = message.reply_to?.meta_msg_id || message.reply_to?.msg_id;
+  if (quotedId) {
+    body.context = { message_id: quotedId };
+  }
+
+  if (message.template) {
+    const { name, language = "en_US", components } = message.template;
+    body.type = "template";
+    body.template = {
+      name,
+      language: { code: language },
+      ...(components?.length && { components })
+    };
+  } else if (MEDIA_TYPES.includes(message.content_type)) {
+    if (!message.media_url) {
+      throw new ProviderError(`${message.content_type} message has no media_url`, { retryable: false });
+    }
+
+    const media = { link: absoluteUrl(message.media_url, publicUrl) };
+    const caption = CAPTIONED_TYPES.includes(message.content_type) && captionOf(message);
+    if (caption) media.caption = caption;
+    if (message.content_type === "document" && message.media_filename) {
+      media.filename = message.media_filename;
+    }
+
+    body.type = message.content_type;
+    body[message.content_type] = media;
+  } else if (message.content_type === "interactive") {
+    body.type = "interactive";
+    body.interactive = toCloudInteractive(message.interactive);
+  } else if (message.content_type === "location") {
+    body.type = "location";
+    body.location = toCloudLocation(message.location);
+  } else if (message.content_type === "contact") {
+    body.type = "contacts";
+    body.contacts = toCloudContacts(message.contacts);
+  } else if (message.content_type === "text" || !message.content_type) {
+    body.type = "text";
+    body.text = { body: message.content, preview_url: /https?:\/\//i.test(message.content) };
+  } else {
+    throw new ProviderError(`Cloud API adapter cannot send ${message.content_type} messages`, { retryable: false });
+  }
+
+  return body;
+}
+
+/**
+ * Turn a failed Graph API response into a ProviderError. Rate limits, 5xx
+ * responses and the temporary error codes above are retried.
+ */
+export function toProviderError(status, payload) {
+  const error = payload?.error || {};
+  const message = error.error_data?.details || error.message || `Graph API request failed with HTTP ${status}`;
+  const retryable = status === 429 || status >= 500 || RETRYABLE_ERROR_CODES.includes(error.code);
+
+  return new ProviderError(message, { retryable, code: error.code ?? status });
+}
+
+/**
+ * Sends through the WhatsApp Cloud API (`POST /<version>/<phone number id>/messages`).
+ * - GRAPH_API_BASE_URL: Graph API root (default https://graph.facebook.com; point
+ *   it at `scripts/mock_graph_server.js` locally)
+ * - GRAPH_API_VERSION: API version (default v20.0)
+ * - WHATSAPP_ACCESS_TOKEN: system user access token
+ * - WHATSAPP_PHONE_NUMBER_ID: sending number for messages without phone_number_id
+ * - PUBLIC_URL: public address of this server, used to make media links absolute
+ * - GRAPH_API_TIMEOUT_MS: request timeout (default 15000)
+ */
+export default function createCloudApiProvider({
+  baseUrl = process.env.GRAPH_API_BASE_URL || "https://graph.facebook.com",
+  version = process.env.GRAPH_API_VERSION || "v20.0",
+  accessToken = process.env.WHATSAPP_ACCESS_TOKEN,
+  phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID,
+  publicUrl = process.env.PUBLIC_URL,
+  timeoutMs = Number(process.env.GRAPH_API_TIMEOUT_MS || 15000),
+  fetch: fetchImpl = globalThis.fetch
+} = {}) {
+  if (!accessToken) {
+    throw new Error("WHATSAPP_ACCESS_TOKEN is required for the cloud message provider");
+  }
+
+  // POST a message to the Graph API and return the wamid it was given
+  async function post(message, body) {
+    const fromNumber = message.phone_number_id || phoneNumberId;
+    if (!fromNumber) {
+      throw new ProviderError("No phone_number_id to send from (set WHATSAPP_PHONE_NUMBER_ID)", { retryable: false });
+    }
+
+    const url = `${baseUrl.replace(/\/$/, "")}/${version}/${fromNumber}/messages`;
+    let res;
+    try {
+      res = await fetchImpl(url, {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${accessToken}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      // Network errors and timeouts
+      throw new ProviderError(`Graph API request failed: ${err.message}`);
+    }
+
+    const payload = await res.json().catch(() => null);
+    if (!res.ok) {
+      throw toProviderError(res.status, payload);
+    }
+
+    // The request was accepted, so sending again could deliver it twice
+    const id = payload?.messages?.[0]?.id;
+    if (!id) {
+      throw new ProviderError("Graph API response did not include a message id", { retryable: false });
+    }
+    return id;
+  }
+
+  return {
+    name: "cloud",
+
+    async send(message) {
+      return { id: await post(message, buildRequest(message, { publicUrl })) };
+    },
+
+    // React to a message by its wamid; an empty emoji removes the reaction
+    async sendReaction(message, emoji) {
+      await post(message, {
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: message.wa_id,
+        type: "reaction",
+        reaction: { message_id: message.meta_msg_id || message.msg_id, emoji }
+      });
+    }
+  };
+}
@@ -0,0 +1,30 @@
+import createMockProvider from "./mock.js";
+import createCloudApiProvider from "./cloudApi.js";
+
+// Available provider adapters. An adapter is a factory returning
+// `{ name, send(message, { attempt, reportStatus }) => { id } }`, where `id`
+// is the provider's message id (stored as meta_msg_id so status webhooks
+// match). Failed sends throw a ProviderError saying whether to retry.
+// `reportStatus(status)` is for adapters that learn about delivery
+// themselves rather than through the webhook. Adapters may also implement
+// `sendReaction(message, emoji)` to pass our reactions on to the contact.
+// Select one with MESSAGE_PROVIDER.
+const providers = {
+  mock: createMockProvider,
+  cloud: createCloudApiProvider
+};
+
+let provider = null;
+
+export function getProvider() {
+  if (!provider) {
+    const providerName = process.env.MESSAGE_PROVIDER || "mock";
+    const createProvider = providers[providerName];
+    
+    if (!createProvider) {
+      throw new Error(`Unknown MESSAGE_PROVIDER "${providerName}"`);
+    }
+    provider = createProvider();
+  }
+  return provider;
+}
@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import ProviderError from "./ProviderError.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Local stand-in for a real provider, the default in development. Sends take
+ * `latencyMs` (MOCK_PROVIDER_LATENCY_MS, default 300) and delivery is
+ * reported a moment later. Failures can be simulated:
+ * - MOCK_PROVIDER_FAILURE_RATE (0–1): share of attempts failing with a retryable error
+ * - text containing "#fail" fails permanently, "#flaky" fails its first two attempts
+ */
+export default function createMockProvider({
+  failureRate = Number(process.env.MOCK_PROVIDER_FAILURE_RATE || 0),
+  latencyMs = Number(process.env.MOCK_PROVIDER_LATENCY_MS || 300),
+  random = Math.random
+} = {}) {
+  return {
+    name: "mock",
+
+    async send(message, { attempt = 1, reportStatus } = {}) {
+      await sleep(latencyMs);
+
+      const content = message.content || "";
+      if (content.includes("#fail")) {
+        throw new ProviderError("Message failed to send because the recipient is not on WhatsApp", { retryable: false, code: 131026 });
+      }
+      if ((content.includes("#flaky") && attempt <= 2) || random() < failureRate) {
+        throw new ProviderError("Mock provider is temporarily unavailable");
+      }
+
+      // A real provider reports delivery through the status webhook
+      if (reportStatus) {
+        setTimeout(() => reportStatus("delivered"), latencyMs * 2);
+      }
+
+      return { id: `mock.${crypto.randomUUID()}` };
+    },
+
+    async sendReaction() {
+      await sleep(latencyMs);
+    }
+  };
+}
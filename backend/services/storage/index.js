@@ -0,0 +1,24 @@
+import createLocalDiskStorage from "./localDisk.js";
+
+// Available storage drivers. A driver is a factory returning
+// `{ name, save({ buffer, filename, mimetype, extension }) => { key, url },
+// stat(url) => { key, size } | null, remove(key) }`;
+// add e.g. an S3 driver here and select it with STORAGE_DRIVER.
+const drivers = {
+  local: createLocalDiskStorage
+};
+
+let storage = null;
+
+export function getStorage() {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || "local";
+    const createDriver = drivers[driverName];
+    
+    if (!createDriver) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+    }
+    storage = createDriver();
+  }
+  return storage;
+}
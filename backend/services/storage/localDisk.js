@@ -0,0 +1,49 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Local disk storage driver. Files are written under `UPLOAD_DIR`
+ * (default `./uploads`) and served by server.js at `/uploads`.
+ */
+export default function createLocalDiskStorage({
+  directory = process.env.UPLOAD_DIR || path.resolve("uploads"),
+  publicPath = "/uploads"
+} = {}) {
+  return {
+    name: "local",
+    directory,
+    publicPath,
+
+    // Store a buffer under a random name with the given extension (chosen
+    // by services/media.js, not the client); returns its key and public URL
+    async save({ buffer, extension = "" }) {
+      const key = `${Date.now()}_${crypto.randomBytes(8).toString("hex")}${extension}`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, key), buffer);
+
+      return { key, url: `${publicPath}/${key}` };
+    },
+
+    // Key and size of a file stored here, given its public URL; null when the
+    // URL isn't one of ours or the file is gone
+    async stat(url) {
+      if (typeof url !== "string" || !url.startsWith(`${publicPath}/`)) return null;
+
+      const key = url.slice(publicPath.length + 1);
+      if (key !== path.basename(key)) return null;
+
+      try {
+        const stats = await fs.stat(path.join(directory, key));
+        return stats.isFile() ? { key, size: stats.size } : null;
+      } catch {
+        return null;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(path.join(directory, path.basename(key)), { force: true });
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import { test, describe, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import User from "../models/User.js";
+import authRoutes from "../routes/auth.js";
+import { signToken } from "../middleware/auth.js";
+
+describe("POST /auth/register", () => {
+  const agent = new User({ username: "agent", password_hash: "x" });
+  const credentials = { username: "newagent", password: "long-enough-password" };
+  let server;
+  let url;
+
+  const register = (headers = {}) => fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(credentials)
+  });
+
+  before(async () => {
+    process.env.JWT_SECRET ||= "test-secret";
+    mock.method(User, "findById", async () => agent);
+    mock.method(User, "exists", async () => null);
+    mock.method(User, "register", async ({ username }) => new User({ username, password_hash: "x" }));
+
+    const app = express();
+    app.use(express.json());
+    app.use("/auth", authRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    url = `http://127.0.0.1:${server.address().port}/auth/register`;
+  });
+
+  beforeEach(() => {
+    delete process.env.ALLOW_REGISTRATION;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  test("rejects anonymous sign-up by default", async () => {
+    const res = await register();
+    assert.equal(res.status, 403);
+    assert.equal(User.register.mock.callCount(), 0);
+  });
+
+  test("lets a logged-in agent create an account without a session for it", async () => {
+    const res = await register({ Authorization: `Bearer ${signToken(agent)}` });
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(body.user.username, "newagent");
+    assert.equal(body.token, undefined);
+  });
+
+  test("allows self sign-up with ALLOW_REGISTRATION=true", async () => {
+    process.env.ALLOW_REGISTRATION = "true";
+    const res = await register();
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.ok(body.token);
+  });
+});
@@ -0,0 +1,124 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import createCloudApiProvider, { buildRequest, toProviderError } from "../services/providers/cloudApi.js";
+import { createMockGraphServer } from "../scripts/mock_graph_server.js";
+
+describe("buildRequest", () => {
+  test("formats text messages", () => {
+    assert.deepEqual(buildRequest({ wa_id: "15550001111", content_type: "text", content: "Hi there" }), {
+      messaging_product: "whatsapp",
+      recipient_type: "individual",
+      to: "15550001111",
+      type: "text",
+      text: { body: "Hi there", preview_url: false }
+    });
+  });
+
+  test("sends media by absolute link with caption and filename", () => {
+    const body = buildRequest({
+      wa_id: "15550001111",
+      content_type: "document",
+      content: "Q3 numbers",
+      media_url: "/uploads/abc.pdf",
+      media_filename: "report.pdf"
+    }, { publicUrl: "https://chat.example.com/" });
+
+    assert.equal(body.type, "document");
+    assert.deepEqual(body.document, { link: "https://chat.example.com/uploads/abc.pdf", caption: "Q3 numbers", filename: "report.pdf" });
+  });
+
+  test("leaves out placeholder captions", () => {
+    const body = buildRequest({ wa_id: "1", content_type: "image", content: "📎 image", media_url: "https://cdn.example.com/a.jpg" });
+    assert.deepEqual(body.image, { link: "https://cdn.example.com/a.jpg" });
+  });
+
+  test("formats template messages", () => {
+    const body = buildRequest({ wa_id: "1", content: "Order shipped", template: { name: "order_update", language: "en_GB" } });
+    assert.deepEqual(body.template, { name: "order_update", language: { code: "en_GB" } });
+  });
+
+  test("quotes the replied-to message by wamid", () => {
+    const body = buildRequest({ wa_id: "1", content: "Yes", reply_to: { meta_msg_id: "wamid.ABC" } });
+    assert.deepEqual(body.context, { message_id: "wamid.ABC" });
+  });
+});
+
+describe("toProviderError", () => {
+  test("retries rate limits and server errors", () => {
+    assert.equal(toProviderError(429, {}).retryable, true);
+    assert.equal(toProviderError(503, null).retryable, true);
+    assert.equal(toProviderError(400, { error: { code: 131016, message: "Service unavailable" } }).retryable, true);
+  });
+
+  test("does not retry rejected messages", () => {
+    const err = toProviderError(400, { error: { code: 131026, message: "Message undeliverable" } });
+    assert.equal(err.retryable, false);
+    assert.equal(err.code, 131026);
+    assert.equal(err.message, "Message undeliverable");
+  });
+});
+
+describe("cloud provider against the mock Graph server", () => {
+  let server;
+  let app;
+  let provider;
+
+  before(async () => {
+    app = createMockGraphServer({ accessToken: "test-token", webhookUrl: null });
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    provider = createCloudApiProvider({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      accessToken: "test-token",
+      phoneNumberId: "100200300"
+    });
+  });
+
+  after(() => server.close());
+
+  test("returns the wamid of a sent message", async () => {
+    const { id } = await provider.send({ wa_id: "15550001111", content_type: "text", content: "Hello" });
+    assert.match(id, /^wamid\./);
+
+    const [sent] = app.locals.messages;
+    assert.equal(sent.id, id);
+    assert.equal(sent.phoneNumberId, "100200300");
+    assert.equal(sent.body.text.body, "Hello");
+  });
+
+  test("sends from the message's business number", async () => {
+    await provider.send({ wa_id: "1", phone_number_id: "999", content: "Hi" });
+    assert.equal(app.locals.messages.at(-1).phoneNumberId, "999");
+  });
+
+  test("reacts to a message by its wamid", async () => {
+    await provider.sendReaction({ wa_id: "15550001111", meta_msg_id: "wamid.ORIGINAL" }, "👍");
+    assert.deepEqual(app.locals.messages.at(-1).body.reaction, { message_id: "wamid.ORIGINAL", emoji: "👍" });
+  });
+
+  test("reports rejected messages as permanent failures", async () => {
+    await assert.rejects(provider.send({ wa_id: "1", content: "#fail" }), { retryable: false, code: 131026 });
+  });
+
+  test("reports rate limits as retryable", async () => {
+    await assert.rejects(provider.send({ wa_id: "1", content: "#ratelimit" }), { retryable: true });
+  });
+
+  test("does not retry an accepted request without a message id", async () => {
+    const accepted = createCloudApiProvider({
+      accessToken: "test-token",
+      phoneNumberId: "100200300",
+      fetch: async () => new Response(JSON.stringify({ messaging_product: "whatsapp" }), { status: 200 })
+    });
+    await assert.rejects(accepted.send({ wa_id: "1", content: "Hi" }), { retryable: false });
+  });
+
+  test("rejects a wrong access token", async () => {
+    const unauthorized = createCloudApiProvider({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      accessToken: "wrong",
+      phoneNumberId: "100200300"
+    });
+    await assert.rejects(unauthorized.send({ wa_id: "1", content: "Hi" }), { retryable: false, code: 190 });
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import Message from "../models/Message.js";
+import ReadCursor from "../models/ReadCursor.js";
+import User from "../models/User.js";
+import apiRoutes from "../routes/api.js";
+import { signToken } from "../middleware/auth.js";
+
+describe("GET /conversations", () => {
+  const user = new User({ username: "agent", password_hash: "x" });
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.JWT_SECRET ||= "test-secret";
+    mock.method(User, "findById", async () => user);
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api", apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  test("lists a contact's threads with two numbers as two conversations", async () => {
+    const wa_id = "15550001111";
+    const threads = [
+      { _id: { wa_id, phone_number_id: "100001" }, lastMessage: "On the first number", lastTimestamp: new Date() },
+      { _id: { wa_id, phone_number_id: "100002" }, lastMessage: "On the second number", lastTimestamp: new Date(Date.now() - 1000) }
+    ];
+    const unread = [
+      { _id: { wa_id, phone_number_id: "100001" }, count: 2 },
+      { _id: { wa_id, phone_number_id: "100002" }, count: 5 }
+    ];
+    const aggregate = mock.method(Message, "aggregate", async (pipeline) =>
+      pipeline.some(stage => stage.$lookup) ? threads : unread
+    );
+    mock.method(ReadCursor, "find", () => ({ lean: async () => [] }));
+
+    const res = await fetch(`${baseUrl}/conversations`, { headers: { Authorization: `Bearer ${signToken(user)}` } });
+    const conversations = await res.json();
+
+    const { $group } = aggregate.mock.calls[0].arguments[0].find(stage => stage.$group);
+    assert.ok($group._id.phone_number_id, "grouped by business number");
+    assert.deepEqual(
+      conversations.map(c => [c.wa_id, c.phone_number_id, c.lastMessage, c.unreadCount]),
+      [
+        [wa_id, "100001", "On the first number", 2],
+        [wa_id, "100002", "On the second number", 5]
+      ]
+    );
+  });
+});
@@ -0,0 +1,75 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { buildForwardCopy, checkForwardable } from "../utils/forwarding.js";
+
+describe("checkForwardable", () => {
+  test("accepts text and stored media", () => {
+    assert.equal(checkForwardable({ content_type: "text", content: "Hi" }), null);
+    assert.equal(checkForwardable({ content_type: "image", media_url: "/uploads/a.jpg" }), null);
+  });
+
+  test("rejects deleted messages and media without a stored file", () => {
+    assert.match(checkForwardable({ content_type: "text", is_deleted: true }), /Deleted/);
+    assert.match(checkForwardable({ content_type: "audio", content: "📎 audio" }), /isn't stored/);
+  });
+
+  test("rejects locations and contact cards stored without their data", () => {
+    assert.match(checkForwardable({ content_type: "location", content: "📎 location" }), /no valid coordinates/);
+    assert.match(checkForwardable({ content_type: "contact", content: "Contact", contacts: [] }), /contact card/);
+    assert.match(checkForwardable({ content_type: "contact", contacts: [{ name: "Anita Sharma", phones: [] }] }), /contact card/);
+    assert.equal(checkForwardable({ content_type: "location", location: { latitude: 12.9716, longitude: 77.5946 } }), null);
+    assert.equal(checkForwardable({ content_type: "contact", contacts: [{ name: "Anita Sharma", phones: [{ phone: "+91 98450 12345" }] }] }), null);
+  });
+});
+
+describe("buildForwardCopy", () => {
+  test("copies media by reference", () => {
+    const copy = buildForwardCopy({
+      _id: "64d1f0c2a1b2c3d4e5f60718",
+      wa_id: "15550001111",
+      content: "Receipt",
+      content_type: "document",
+      media_url: "/uploads/receipt.pdf",
+      media_mime_type: "application/pdf",
+      media_size: 2048,
+      media_filename: "receipt.pdf",
+      status: "read",
+      reactions: [{ from: "remote", emoji: "👍" }]
+    });
+
+    assert.deepEqual(copy, {
+      content: "Receipt",
+      content_type: "document",
+      media_url: "/uploads/receipt.pdf",
+      media_mime_type: "application/pdf",
+      media_size: 2048,
+      media_filename: "receipt.pdf"
+    });
+  });
+
+  test("keeps structured fields", () => {
+    const location = { latitude: 12.9716, longitude: 77.5946, name: "Cubbon Park" };
+    assert.deepEqual(buildForwardCopy({ content: "Cubbon Park", content_type: "location", location }), {
+      content: "Cubbon Park",
+      content_type: "location",
+      location
+    });
+
+    const interactive = { type: "button", body: "Pick one", buttons: [{ id: "a", title: "A" }] };
+    assert.equal(buildForwardCopy({ content: "Pick one", content_type: "interactive", interactive }).interactive, interactive);
+  });
+
+  test("forwards answers to buttons and lists as text", () => {
+    const copy = buildForwardCopy({
+      content: "Yes",
+      content_type: "interactive",
+      interactive: { type: "button_reply", reply: { id: "YES", title: "Yes" } }
+    });
+    assert.deepEqual(copy, { content: "Yes", content_type: "text" });
+  });
+
+  test("does not copy replies", () => {
+    const copy = buildForwardCopy({ content: "Sure", content_type: "text", reply_to: "64d1f0c2a1b2c3d4e5f60718", reply_to_content: "Ok?" });
+    assert.deepEqual(copy, { content: "Sure", content_type: "text" });
+  });
+});
@@ -0,0 +1,94 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { buildInteractive, checkInteractive, toCloudInteractive, fromCloudInteractive } from "../utils/interactiveMessages.js";
+import { buildRequest } from "../services/providers/cloudApi.js";
+
+const buttons = buildInteractive({
+  type: "button",
+  header: " Plans ",
+  body: "Which plan suits you?",
+  buttons: [{ title: "Basic" }, { id: "pro", title: "Pro" }]
+});
+
+const list = buildInteractive({
+  type: "list",
+  body: "Pick a delivery slot",
+  button: "Slots",
+  sections: [{ title: "Tomorrow", rows: [{ title: "Morning", description: "9am - 12pm" }, { title: "Evening" }] }]
+});
+
+describe("buildInteractive", () => {
+  test("trims texts and numbers buttons and rows without an id", () => {
+    assert.equal(buttons.header, "Plans");
+    assert.deepEqual(buttons.buttons, [{ id: "button_1", title: "Basic" }, { id: "pro", title: "Pro" }]);
+    assert.deepEqual(list.sections[0].rows.map(row => row.id), ["row_1", "row_2"]);
+  });
+
+  test("treats missing or malformed input as empty, for checkInteractive to report", () => {
+    for (const input of [null, undefined, "Hi", 42, ["button"]]) {
+      assert.match(checkInteractive(buildInteractive(input)), /interactive.type/, String(input));
+    }
+    assert.match(checkInteractive(buildInteractive({ type: "button", body: "Hi", buttons: [null] })), /Button titles/);
+    assert.match(checkInteractive(buildInteractive({ type: "button", body: "Hi", buttons: "Yes" })), /1 to 3 buttons/);
+    const listWith = (sections) => checkInteractive(buildInteractive({ type: "list", body: "Hi", button: "Options", sections }));
+    assert.match(listWith([null]), /Every section needs at least one row/);
+    assert.match(listWith([{ rows: [null] }]), /Row titles/);
+  });
+});
+
+describe("checkInteractive", () => {
+  test("accepts valid button and list messages", () => {
+    assert.equal(checkInteractive(buttons), null);
+    assert.equal(checkInteractive(list), null);
+  });
+
+  test("enforces the Cloud API limits", () => {
+    const tooMany = buildInteractive({ type: "button", body: "Hi", buttons: [1, 2, 3, 4].map(n => ({ title: `B${n}` })) });
+    assert.match(checkInteractive(tooMany), /1 to 3 buttons/);
+
+    const longTitle = buildInteractive({ type: "button", body: "Hi", buttons: [{ title: "A title that is far too long" }] });
+    assert.match(checkInteractive(longTitle), /Button titles/);
+
+    assert.match(checkInteractive({ ...list, button: "" }), /menu label/);
+    assert.match(checkInteractive(buildInteractive({ type: "list", body: "Hi", button: "Go", sections: [] })), /sections/);
+    assert.match(checkInteractive({ type: "carousel", body: "Hi" }), /interactive.type/);
+  });
+
+  test("rejects duplicate ids", () => {
+    const duplicates = buildInteractive({ type: "button", body: "Hi", buttons: [{ id: "a", title: "A" }, { id: "a", title: "B" }] });
+    assert.match(checkInteractive(duplicates), /unique/);
+  });
+});
+
+describe("Cloud API interactive messages", () => {
+  test("formats reply buttons", () => {
+    assert.deepEqual(toCloudInteractive(buttons), {
+      type: "button",
+      header: { type: "text", text: "Plans" },
+      body: { text: "Which plan suits you?" },
+      action: {
+        buttons: [
+          { type: "reply", reply: { id: "button_1", title: "Basic" } },
+          { type: "reply", reply: { id: "pro", title: "Pro" } }
+        ]
+      }
+    });
+  });
+
+  test("formats list messages in send requests", () => {
+    const body = buildRequest({ wa_id: "1", content_type: "interactive", content: list.body, interactive: list });
+
+    assert.equal(body.type, "interactive");
+    assert.equal(body.interactive.action.button, "Slots");
+    assert.deepEqual(body.interactive.action.sections[0].rows[0], { id: "row_1", title: "Morning", description: "9am - 12pm" });
+  });
+
+  test("reads button messages sent from the business number back", () => {
+    const parsed = fromCloudInteractive({ type: "interactive", interactive: toCloudInteractive(buttons) });
+    assert.deepEqual(parsed, buttons);
+  });
+
+  test("ignores interactive types it does not know", () => {
+    assert.equal(fromCloudInteractive({ type: "interactive", interactive: { type: "nfm_reply" } }), null);
+  });
+});
@@ -0,0 +1,178 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import express from "express";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import apiRoutes from "../routes/api.js";
+import { signToken } from "../middleware/auth.js";
+import { checkUpload, setMediaHeaders, storeUpload, resolveStoredMedia } from "../services/media.js";
+import createLocalDiskStorage from "../services/storage/localDisk.js";
+
+// Collects the headers setMediaHeaders sets
+function headersFor(filePath) {
+  const headers = {};
+  setMediaHeaders({ setHeader: (name, value) => { headers[name] = value; } }, filePath);
+  return headers;
+}
+
+describe("checkUpload", () => {
+  test("accepts media WhatsApp can send", () => {
+    for (const mimetype of ["image/jpeg", "audio/ogg", "video/mp4", "application/pdf"]) {
+      assert.equal(checkUpload({ mimetype }), null, mimetype);
+    }
+  });
+
+  test("rejects active content", () => {
+    for (const mimetype of ["text/html", "image/svg+xml", "application/javascript", "application/xhtml+xml"]) {
+      assert.match(checkUpload({ mimetype }), /can't be sent/, mimetype);
+    }
+  });
+});
+
+describe("setMediaHeaders", () => {
+  test("shows images, audio and video inline", () => {
+    assert.deepEqual(headersFor("/uploads/1_abc.jpg"), { "X-Content-Type-Options": "nosniff" });
+    assert.deepEqual(headersFor("/uploads/1_abc.MP4"), { "X-Content-Type-Options": "nosniff" });
+  });
+
+  test("downloads everything else", () => {
+    for (const file of ["/uploads/1_abc.pdf", "/uploads/1_abc.html", "/uploads/1_abc.svg", "/uploads/1_abc"]) {
+      assert.equal(headersFor(file)["Content-Disposition"], "attachment", file);
+    }
+  });
+});
+
+describe("local disk storage", () => {
+  test("names files with the extension it is given, not the client's", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+    const storage = createLocalDiskStorage({ directory });
+
+    const { key } = await storage.save({ buffer: Buffer.from("x"), filename: "evil.html", extension: ".png" });
+
+    assert.match(key, /\.png$/);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test("only finds files it stored", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+    const storage = createLocalDiskStorage({ directory });
+
+    const { key, url } = await storage.save({ buffer: Buffer.from("hello"), extension: ".txt" });
+
+    assert.deepEqual(await storage.stat(url), { key, size: 5 });
+    for (const other of ["https://example.com/evil.png", "/uploads/1_missing.png", "/uploads/../package.json", "/uploads/..", 42]) {
+      assert.equal(await storage.stat(other), null, other);
+    }
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+});
+
+describe("resolveStoredMedia", () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+    process.env.UPLOAD_DIR = directory;
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test("reads type and size from the stored file, not the client", async () => {
+    const { media_url } = await storeUpload({ buffer: Buffer.from("%PDF-1.4"), originalname: "invoice.pdf", mimetype: "application/pdf", size: 8 });
+
+    const media = await resolveStoredMedia({ media_url, media_mime_type: "text/html", media_size: -1, media_filename: "invoice.pdf" });
+
+    assert.deepEqual(media, { media_url, media_mime_type: "application/pdf", media_size: 8, media_filename: "invoice.pdf" });
+  });
+
+  test("rejects URLs that aren't stored uploads", async () => {
+    assert.equal(await resolveStoredMedia({ media_url: "https://example.com/cat.jpg" }), null);
+
+    const { media_url } = await storeUpload({ buffer: Buffer.from("hi"), originalname: "a.txt", mimetype: "text/plain", size: 2 });
+    assert.equal(await resolveStoredMedia({ media_url, thumbnail_url: "https://example.com/thumb.jpg" }), null);
+  });
+});
+
+describe("sending media", () => {
+  const user = new User({ username: "agent", password_hash: "x" });
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.JWT_SECRET ||= "test-secret";
+    mock.method(User, "findById", async () => user);
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api", apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  test("rejects uploads of other types", async () => {
+    const form = new FormData();
+    form.append("file", new Blob(["<script>alert(1)</script>"], { type: "text/html" }), "page.html");
+
+    const res = await fetch(`${baseUrl}/media`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${signToken(user)}` },
+      body: form
+    });
+    assert.equal(res.status, 415);
+  });
+
+  test("rejects media messages without a media_url", async () => {
+    const res = await fetch(`${baseUrl}/messages`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${signToken(user)}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ wa_id: "15550001111", phone_number_id: "100001", content_type: "image", content: "A caption" })
+    });
+    const body = await res.json();
+
+    assert.equal(res.status, 400);
+    assert.match(body.message, /media_url/);
+  });
+
+  test("rejects media that wasn't uploaded here", async () => {
+    const findOne = mock.method(Message, "findOne", () => ({
+      sort() { return this; },
+      select() { return this; },
+      lean: async () => ({ timestamp: new Date() })
+    }));
+    const create = mock.method(Message, "create", async (doc) => doc);
+
+    try {
+      const res = await fetch(`${baseUrl}/messages`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${signToken(user)}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ 
+          wa_id: "15550001111", 
+          phone_number_id: "100001", 
+          content_type: "image", 
+          media_url: "https://example.com/cat.jpg",
+          media_mime_type: "image/jpeg",
+          media_size: -1
+        })
+      });
+      const body = await res.json();
+
+      assert.equal(res.status, 400);
+      assert.match(body.message, /POST \/media/);
+      assert.equal(create.mock.callCount(), 0);
+    } finally {
+      findOne.mock.restore();
+      create.mock.restore();
+    }
+  });
+});
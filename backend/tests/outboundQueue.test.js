@@ -0,0 +1,68 @@
+import { test, describe, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import Message from "../models/Message.js";
+import { retryDelay, kickOutboundQueue } from "../services/outboundQueue.js";
+import { getProvider } from "../services/providers/index.js";
+import createMockProvider from "../services/providers/mock.js";
+
+describe("retryDelay", () => {
+  test("doubles the delay after every failed attempt", () => {
+    assert.deepEqual([1, 2, 3, 4].map(attempt => retryDelay(attempt, 1000)), [1000, 2000, 4000, 8000]);
+  });
+
+  test("is capped at five minutes", () => {
+    assert.equal(retryDelay(20, 1000), 5 * 60 * 1000);
+  });
+});
+
+describe("mock provider", () => {
+  const provider = createMockProvider({ failureRate: 0, latencyMs: 0 });
+
+  test("returns a provider message id", async () => {
+    const { id } = await provider.send({ content: "Hello" });
+    assert.match(id, /^mock\./);
+  });
+
+  test("fails permanently for #fail", async () => {
+    await assert.rejects(provider.send({ content: "#fail please" }), { retryable: false });
+  });
+
+  test("fails #flaky messages on their first two attempts only", async () => {
+    await assert.rejects(provider.send({ content: "#flaky" }, { attempt: 2 }), { retryable: true });
+    await provider.send({ content: "#flaky" }, { attempt: 3 });
+  });
+
+  test("simulates random failures at the configured rate", async () => {
+    const unreliable = createMockProvider({ failureRate: 0.5, latencyMs: 0, random: () => 0.2 });
+    await assert.rejects(unreliable.send({ content: "Hi" }), { name: "ProviderError" });
+  });
+});
+
+describe("outbound queue", () => {
+  after(() => {
+    mock.restoreAll();
+  });
+
+  test("never sends a message again when storing its provider id fails", async () => {
+    const message = new Message({ wa_id: "15550001111", content: "Hello", from: "me", status: "pending", delivery_attempts: 1 });
+    // The message is due on both runs of the queue, then nothing is left
+    const due = [message, null, message, null];
+    mock.method(Message, "findOneAndUpdate", () => ({ populate: async () => due.shift() }));
+    const send = mock.method(getProvider(), "send", async () => ({ id: "wamid.sent" }));
+    let storeFails = true;
+    const updateOne = mock.method(Message, "updateOne", async () => {
+      if (storeFails) throw new Error("connection lost");
+    });
+    mock.method(Message, "applyStatus", async () => []);
+    mock.method(console, "error", () => {});
+
+    await kickOutboundQueue();
+    storeFails = false;
+    await kickOutboundQueue();
+
+    assert.equal(send.mock.callCount(), 1);
+    const [, update] = updateOne.mock.calls.at(-1).arguments;
+    assert.equal(update.$set.meta_msg_id, "wamid.sent");
+    assert.equal(Message.applyStatus.mock.calls.at(-1).arguments[1], "sent");
+  });
+});
@@ -0,0 +1,266 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  normalizePayload,
+  parseTimestamp,
+  determineContentType,
+  extractMessageContent,
+  buildMessageIdQuery,
+  STATUS_TRANSITIONS
+} from "../utils/payloadNormalizer.js";
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+const loadFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), "utf8"));
+
+describe("normalizePayload", () => {
+  test("maps an inbound Cloud API text message", () => {
+    const { messages, statuses, contacts, skipped } = normalizePayload(loadFixture("cloud_text_message"));
+    
+    assert.equal(messages.length, 1);
+    assert.equal(statuses.length, 0);
+    assert.equal(skipped, 0);
+    assert.deepEqual(contacts, [{ wa_id: "919937320320", name: "Ravi Kumar" }]);
+    
+    const [msg] = messages;
+    assert.equal(msg.wa_id, "919937320320");
+    assert.equal(msg.name, "Ravi Kumar");
+    assert.equal(msg.from, "remote");
+    assert.equal(msg.to, "me");
+    assert.equal(msg.content, "Hi, I'd like to know more about your services.");
+    assert.equal(msg.content_type, "text");
+    assert.equal(msg.msg_id, "wamid.HBgMOTE5OTY3NTc4NzIwFQIAEhggMTIzQURFRjEyMzQ1Njc4OTA=");
+    assert.equal(msg.meta_msg_id, msg.msg_id);
+    assert.equal(msg.timestamp.toISOString(), "2025-08-05T13:20:00.000Z");
+    assert.equal(msg.phone_number_id, "629305560276479");
+  });
+
+  test("reports the business numbers named in metadata once", () => {
+    const { numbers } = normalizePayload(loadFixture("cloud_batched"));
+    
+    assert.deepEqual(numbers, [{ phone_number_id: "629305560276479", display_phone_number: "918329446654" }]);
+  });
+
+  test("treats messages from the business number as outbound, including the metaData wrapper", () => {
+    const { messages } = normalizePayload(loadFixture("sample_outbound_message"));
+    
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].from, "me");
+    assert.equal(messages[0].wa_id, "919937320320");
+    assert.equal(messages[0].to, "919937320320");
+    assert.equal(messages[0].name, "Ravi Kumar");
+  });
+
+  test("maps Cloud API media messages with caption and media fields", () => {
+    const [msg] = normalizePayload(loadFixture("cloud_image_message")).messages;
+    
+    assert.equal(msg.content_type, "image");
+    assert.equal(msg.content, "Here is the screenshot");
+    assert.equal(msg.media_url, "https://example.com/media/screenshot.jpg");
+    assert.equal(msg.media_mime_type, "image/jpeg");
+  });
+
+  test("keeps the quoted message id of Cloud API replies", () => {
+    const [msg] = normalizePayload(loadFixture("cloud_reply_message")).messages;
+    
+    assert.equal(msg.reply_to_provider_id, "wamid.HBgMOTE5OTY3NTc4NzIwFQIAEhggNDc4NzZBQ0YxMjdCQ0VFOTk2NzA3MTI4RkZCNjYyMjc=");
+    assert.equal(msg.reply_to, undefined);
+  });
+
+  test("maps button and list replies to interactive messages", () => {
+    const [button, list, quickReply] = normalizePayload(loadFixture("cloud_interactive_reply")).messages;
+    
+    assert.equal(button.content_type, "interactive");
+    assert.equal(button.content, "Basic plan");
+    assert.deepEqual(button.interactive, { type: "button_reply", reply: { id: "plan_basic", title: "Basic plan" } });
+    assert.equal(button.reply_to_provider_id, "wamid.HBgMOTE5OTY3NTc4NzIwFQIAERgSQlVUVE9OUzEyMzQ1Njc4OTAA");
+    
+    assert.equal(list.content, "Morning");
+    assert.deepEqual(list.interactive.reply, { id: "slot_morning", title: "Morning", description: "9am - 12pm" });
+    
+    assert.equal(quickReply.content_type, "interactive");
+    assert.deepEqual(quickReply.interactive, { type: "button_reply", reply: { id: "STOP_PROMOS", title: "Stop promotions" } });
+  });
+
+  test("keeps shared locations and contact cards", () => {
+    const { messages, contacts } = normalizePayload(loadFixture("cloud_location_contact"));
+    const [location, card] = messages;
+    
+    assert.equal(location.content_type, "location");
+    assert.equal(location.content, "Cubbon Park");
+    assert.deepEqual(location.location, { latitude: 12.9716, longitude: 77.5946, name: "Cubbon Park", address: "Kasturba Road, Bengaluru" });
+    
+    assert.equal(card.content_type, "contact");
+    assert.equal(card.content, "Anita Sharma");
+    assert.deepEqual(card.contacts, [{
+      name: "Anita Sharma",
+      first_name: "Anita",
+      last_name: "Sharma",
+      phones: [{ phone: "+91 98450 12345", wa_id: "919845012345", type: "CELL" }],
+      emails: [{ email: "anita@example.com", type: "WORK" }],
+      company: "Acme Logistics"
+    }]);
+    
+    // Shared cards are not sender profiles
+    assert.deepEqual(contacts, [{ wa_id: "919937320320", name: "Ravi Kumar" }]);
+  });
+
+  test("collects reactions instead of storing them as messages", () => {
+    const { messages, reactions, skipped } = normalizePayload(loadFixture("cloud_reaction"));
+    
+    assert.equal(messages.length, 0);
+    assert.equal(reactions.length, 2);
+    assert.deepEqual(reactions[0].ids, ["wamid.HBgMOTE5OTY3NTc4NzIwFQIAEhggQ09OVEFDVDEyMzQ1Njc4OTA="]);
+    assert.equal(reactions[0].emoji, "👍");
+    assert.equal(reactions[0].from, "remote");
+    assert.equal(reactions[0].wa_id, "919937320320");
+    assert.equal(reactions[0].timestamp.toISOString(), "2025-08-05T13:27:00.000Z");
+    
+    // No emoji means the reaction was removed
+    assert.equal(reactions[1].emoji, "");
+    
+    // A reaction naming no message is skipped
+    assert.equal(skipped, 1);
+  });
+
+  test("maps Cloud API statuses", () => {
+    const { messages, statuses } = normalizePayload(loadFixture("cloud_status"));
+    
+    assert.equal(messages.length, 0);
+    assert.equal(statuses.length, 1);
+    assert.deepEqual(statuses[0].ids, ["wamid.HBgMOTE5OTY3NTc4NzIwFQIAEhggNDc4NzZBQ0YxMjdCQ0VFOTk2NzA3MTI4RkZCNjYyMjc="]);
+    assert.equal(statuses[0].status, "read");
+    assert.equal(statuses[0].timestamp.toISOString(), "2025-08-05T13:20:40.000Z");
+  });
+
+  test("keeps why a send failed", () => {
+    const [status] = normalizePayload(loadFixture("cloud_failed_status")).statuses;
+    
+    assert.equal(status.status, "failed");
+    assert.match(status.error_message, /more than 24 hours have passed/);
+    
+    const [read] = normalizePayload(loadFixture("cloud_status")).statuses;
+    assert.equal(read.error_message, undefined);
+  });
+
+  test("walks batched entries and skips statuses without an id", () => {
+    const { messages, statuses, contacts, skipped } = normalizePayload(loadFixture("cloud_batched"));
+    
+    assert.deepEqual(messages.map(m => [m.wa_id, m.name, m.content]), [
+      ["919937320320", "Ravi Kumar", "First"],
+      ["929967673820", "Neha Joshi", "Second"]
+    ]);
+    assert.equal(contacts.length, 2);
+    assert.equal(statuses.length, 1);
+    assert.equal(statuses[0].status, "delivered");
+    assert.equal(skipped, 1);
+  });
+
+  test("maps legacy flattened messages", () => {
+    const [msg] = normalizePayload(loadFixture("legacy_messages")).messages;
+    
+    assert.equal(msg.wa_id, "1234567890");
+    assert.equal(msg.name, "Test User");
+    assert.equal(msg.from, "remote");
+    assert.equal(msg.msg_id, "test_1754400000000");
+    assert.equal(msg.content, "Hello! This is a test message from the webhook.");
+    assert.equal(msg.timestamp.toISOString(), "2025-08-05T13:20:00.000Z");
+    assert.equal(msg.phone_number_id, undefined);
+  });
+
+  test("maps legacy status updates", () => {
+    const { statuses } = normalizePayload(loadFixture("legacy_status"));
+    
+    assert.equal(statuses.length, 1);
+    assert.deepEqual(statuses[0].ids, ["test_1754400000000"]);
+    assert.equal(statuses[0].status, "delivered");
+  });
+
+  test("maps a single outbound message with a millisecond timestamp", () => {
+    const [msg] = normalizePayload(loadFixture("single_message")).messages;
+    
+    assert.equal(msg.from, "me");
+    assert.equal(msg.wa_id, "1234567890");
+    assert.equal(msg.to, "1234567890");
+    assert.equal(msg.content, "Plain text single message");
+    assert.equal(msg.timestamp.toISOString(), "2025-08-05T13:20:00.000Z");
+  });
+
+  test("reports unrecognized payloads as skipped", () => {
+    const result = normalizePayload(loadFixture("unrecognized"));
+    
+    assert.equal(result.messages.length + result.statuses.length + result.contacts.length, 0);
+    assert.equal(result.skipped, 1);
+  });
+
+  test("accepts arrays of payloads", () => {
+    const result = normalizePayload([loadFixture("cloud_text_message"), loadFixture("legacy_status")]);
+    
+    assert.equal(result.messages.length, 1);
+    assert.equal(result.statuses.length, 1);
+  });
+
+  test("produces identical documents for identical payloads", () => {
+    const first = normalizePayload(loadFixture("cloud_text_message")).messages[0];
+    const second = normalizePayload(loadFixture("cloud_text_message")).messages[0];
+    
+    assert.deepEqual(first, second);
+  });
+});
+
+describe("parseTimestamp", () => {
+  test("handles epoch seconds, milliseconds, numeric strings and ISO strings", () => {
+    const expected = "2025-08-05T13:20:00.000Z";
+    
+    assert.equal(parseTimestamp(1754400000).toISOString(), expected);
+    assert.equal(parseTimestamp(1754400000000).toISOString(), expected);
+    assert.equal(parseTimestamp("1754400000").toISOString(), expected);
+    assert.equal(parseTimestamp(expected).toISOString(), expected);
+  });
+
+  test("returns null for missing or invalid values", () => {
+    assert.equal(parseTimestamp(undefined), null);
+    assert.equal(parseTimestamp(""), null);
+    assert.equal(parseTimestamp("not a date"), null);
+  });
+});
+
+describe("content helpers", () => {
+  test("determineContentType falls back to text for unsupported types", () => {
+    assert.equal(determineContentType({ type: "interactive", interactive: {} }), "text");
+    assert.equal(determineContentType({ location: { latitude: 1, longitude: 2 } }), "location");
+  });
+
+  test("extractMessageContent uses a placeholder for media without caption", () => {
+    assert.equal(extractMessageContent({ type: "audio", audio: { id: "1" } }), "📎 audio");
+  });
+});
+
+describe("buildMessageIdQuery", () => {
+  test("matches msg_id and meta_msg_id, and _id only for ObjectIds", () => {
+    assert.equal(buildMessageIdQuery(["wamid.ABC"]).$or.length, 2);
+    assert.equal(buildMessageIdQuery(["64d1f0c2a1b2c3d4e5f60718"]).$or.length, 3);
+  });
+});
+
+describe("STATUS_TRANSITIONS", () => {
+  const canTransition = (from, to) => STATUS_TRANSITIONS[to].includes(from);
+
+  test("moves statuses forward only", () => {
+    assert.equal(canTransition("sent", "delivered"), true);
+    assert.equal(canTransition("sent", "read"), true);
+    assert.equal(canTransition("read", "delivered"), false);
+    assert.equal(canTransition("delivered", "delivered"), false);
+  });
+
+  test("allows failing only before delivery", () => {
+    assert.equal(canTransition("pending", "failed"), true);
+    assert.equal(canTransition("sent", "failed"), true);
+    assert.equal(canTransition("delivered", "failed"), false);
+    assert.equal(canTransition("failed", "sent"), false);
+  });
+});
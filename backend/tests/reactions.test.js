@@ -0,0 +1,113 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import apiRoutes from "../routes/api.js";
+import { signToken } from "../middleware/auth.js";
+import { checkReactionEmoji } from "../utils/reactions.js";
+
+// A message whose save() resolves without a database
+function unsavedMessage() {
+  const message = new Message({ msg_id: "wamid.TEST", wa_id: "15550001111", content: "Hello", from: "remote" });
+  message.save = async function() { return this; };
+  return message;
+}
+
+describe("Message.setReaction", () => {
+  test("keeps one reaction per participant", async () => {
+    const message = unsavedMessage();
+    const userId = new mongoose.Types.ObjectId();
+
+    await message.setReaction("remote", "👍");
+    await message.setReaction("me", "❤️", { userId });
+    await message.setReaction("remote", "😂");
+
+    assert.deepEqual(message.reactions.map(r => [r.from, r.emoji]), [["me", "❤️"], ["remote", "😂"]]);
+    assert.equal(message.reactions[0].sent_by.toString(), userId.toString());
+    assert.equal(message.validateSync(), undefined);
+  });
+
+  test("removes a reaction when the emoji is empty", async () => {
+    const message = unsavedMessage();
+
+    await message.setReaction("me", "👍");
+    await message.setReaction("me", "");
+
+    assert.equal(message.reactions.length, 0);
+  });
+
+  test("stores when the reaction was made", async () => {
+    const message = unsavedMessage();
+    const timestamp = new Date("2025-08-05T13:27:00Z");
+
+    await message.setReaction("remote", "🙏", { timestamp });
+
+    assert.equal(message.reactions[0].reacted_at.toISOString(), timestamp.toISOString());
+  });
+});
+
+describe("checkReactionEmoji", () => {
+  test("accepts one emoji, or none to remove the reaction", () => {
+    for (const emoji of ["👍", "❤️", "👍🏽", "👨‍👩‍👧", "🇮🇳", "1️⃣", ""]) {
+      assert.equal(checkReactionEmoji(emoji), null, emoji);
+    }
+  });
+
+  test("rejects text and several emoji", () => {
+    for (const emoji of ["ok", "a", "👍👍", "👍 ", "hi👍", "1", 42, null]) {
+      assert.notEqual(checkReactionEmoji(emoji), null, String(emoji));
+    }
+  });
+});
+
+describe("PATCH /messages/:messageId/reaction", () => {
+  const user = new User({ username: "agent", password_hash: "x" });
+  const emitted = [];
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.JWT_SECRET ||= "test-secret";
+    mock.method(User, "findById", async () => user);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.io = { emit: (event, data) => emitted.push({ event, data }), to: () => req.io };
+      next();
+    });
+    app.use("/api", apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    delete process.env.MESSAGE_PROVIDER;
+    mock.restoreAll();
+    server.close();
+  });
+
+  test("stores nothing when the provider is misconfigured", async () => {
+    process.env.MESSAGE_PROVIDER = "missing";
+    const message = unsavedMessage();
+    mock.method(message, "setReaction");
+    mock.method(Message, "findOne", (filter) => filter._id 
+      ? Promise.resolve(message) 
+      : { sort() { return this; }, select() { return this; }, lean: async () => ({ timestamp: new Date() }) }
+    );
+    mock.method(console, "error", () => {});
+
+    const res = await fetch(`${baseUrl}/messages/${message._id}/reaction`, {
+      method: "PATCH",
+      headers: { Authorization: `Bearer ${signToken(user)}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ emoji: "👍" })
+    });
+
+    assert.equal(res.status, 500);
+    assert.equal(message.setReaction.mock.callCount(), 0);
+    assert.equal(emitted.length, 0);
+  });
+});
@@ -0,0 +1,53 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseSearchTerms, findMatches, buildSnippet } from "../utils/searchHighlight.js";
+
+describe("parseSearchTerms", () => {
+  test("keeps phrases and drops negated terms", () => {
+    assert.deepEqual(
+      parseSearchTerms('Invoice "next week" -draft -"old quote" invoice, pay!'),
+      ["invoice", "next week", "pay"]
+    );
+  });
+  
+  test("returns nothing for an empty query", () => {
+    assert.deepEqual(parseSearchTerms("   "), []);
+  });
+});
+
+describe("findMatches", () => {
+  test("matches word prefixes case-insensitively and extends to the word end", () => {
+    const text = "Delivered yesterday, redelivery tomorrow";
+    assert.deepEqual(findMatches(text, ["deliver"]), [[0, 9]]);
+  });
+  
+  test("merges overlapping phrase and word matches", () => {
+    const text = "see you next week then";
+    assert.deepEqual(findMatches(text, ["next week", "week"]), [[8, 17]]);
+  });
+  
+  test("handles terms with regex characters", () => {
+    assert.deepEqual(findMatches("costs $5 (approx)", ["(approx"]), [[9, 16]]);
+  });
+});
+
+describe("buildSnippet", () => {
+  test("returns short text whole", () => {
+    assert.deepEqual(buildSnippet("Your order shipped", ["order"]), {
+      text: "Your order shipped",
+      highlights: [[5, 10]]
+    });
+  });
+  
+  test("centres long text on the first match", () => {
+    const text = `${"a ".repeat(100)}refund issued ${"b ".repeat(100)}`;
+    const snippet = buildSnippet(text, ["refund"], { radius: 20 });
+    
+    assert.ok(snippet.text.startsWith("…"));
+    assert.ok(snippet.text.endsWith("…"));
+    assert.equal(snippet.highlights.length, 1);
+    
+    const [from, to] = snippet.highlights[0];
+    assert.equal(snippet.text.slice(from, to), "refund");
+  });
+});
@@ -0,0 +1,93 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import Message from "../models/Message.js";
+import Contact from "../models/Contact.js";
+import User from "../models/User.js";
+import apiRoutes from "../routes/api.js";
+import { signToken } from "../middleware/auth.js";
+
+describe("POST /messages", () => {
+  const user = new User({ username: "agent", password_hash: "x" });
+  let server;
+  let baseUrl;
+
+  const send = (body) => fetch(`${baseUrl}/messages`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${signToken(user)}`, "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    process.env.JWT_SECRET ||= "test-secret";
+    mock.method(User, "findById", async () => user);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.io = { emit: () => {}, to: () => req.io };
+      next();
+    });
+    app.use("/api", apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  test("rejects a message without the conversation's phone_number_id", async () => {
+    const create = mock.method(Message, "create", async (doc) => doc);
+    process.env.WHATSAPP_PHONE_NUMBER_ID = "100001";
+
+    try {
+      const res = await send({ wa_id: "15550001111", content: "Hello" });
+      const body = await res.json();
+
+      assert.equal(res.status, 400);
+      assert.match(body.message, /phone_number_id/);
+      assert.equal(create.mock.callCount(), 0);
+    } finally {
+      delete process.env.WHATSAPP_PHONE_NUMBER_ID;
+      create.mock.restore();
+    }
+  });
+
+  test("checks the service window of the number the conversation is on", async () => {
+    // The contact wrote to the first number an hour ago and to the second two days ago
+    const lastInbound = {
+      "100001": new Date(Date.now() - 60 * 60 * 1000),
+      "100002": new Date(Date.now() - 48 * 60 * 60 * 1000)
+    };
+    const findOne = mock.method(Message, "findOne", (filter) => ({
+      sort() { return this; },
+      select() { return this; },
+      lean: async () => ({ timestamp: lastInbound[filter.phone_number_id] })
+    }));
+    const create = mock.method(Message, "create", async (doc) => {
+      const message = new Message(doc);
+      message.populate = async function() { return this; };
+      return message;
+    });
+    const ensureContact = mock.method(Contact, "ensureFromMessage", async () => null);
+    // Nothing is due when the outbound queue is kicked
+    const claim = mock.method(Message, "findOneAndUpdate", () => ({ populate: async () => null }));
+
+    try {
+      const closed = await send({ wa_id: "15550001111", phone_number_id: "100002", content: "Hello" });
+      assert.equal(closed.status, 403);
+      assert.equal((await closed.json()).code, "SERVICE_WINDOW_CLOSED");
+
+      const open = await send({ wa_id: "15550001111", phone_number_id: "100001", content: "Hello" });
+      const body = await open.json();
+      assert.equal(open.status, 200);
+      assert.equal(body.message.phone_number_id, "100001");
+      assert.equal(create.mock.callCount(), 1);
+    } finally {
+      for (const stub of [findOne, create, ensureContact, claim]) stub.mock.restore();
+    }
+  });
+});
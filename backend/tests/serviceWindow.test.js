@@ -0,0 +1,31 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { getServiceWindow, SERVICE_WINDOW_MS } from "../utils/serviceWindow.js";
+
+describe("getServiceWindow", () => {
+  const now = new Date("2024-05-02T12:00:00Z");
+
+  test("is open for 24 hours after the last inbound message", () => {
+    const window = getServiceWindow("2024-05-01T13:00:00Z", { now, enforced: true });
+    assert.equal(window.open, true);
+    assert.equal(window.expires_at.toISOString(), "2024-05-02T13:00:00.000Z");
+  });
+
+  test("closes once 24 hours have passed", () => {
+    const lastInbound = new Date(now.getTime() - SERVICE_WINDOW_MS);
+    assert.equal(getServiceWindow(lastInbound, { now, enforced: true }).open, false);
+  });
+
+  test("is closed when the contact never wrote", () => {
+    assert.deepEqual(getServiceWindow(null, { now, enforced: true }), {
+      enforced: true,
+      open: false,
+      last_inbound_at: null,
+      expires_at: null
+    });
+  });
+
+  test("is always open when not enforced", () => {
+    assert.equal(getServiceWindow(null, { now, enforced: false }).open, true);
+  });
+});
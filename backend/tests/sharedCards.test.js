@@ -0,0 +1,61 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { buildLocation, checkLocation, buildContacts, checkContacts, toCloudContacts } from "../utils/sharedCards.js";
+import { buildRequest } from "../services/providers/cloudApi.js";
+
+describe("locations", () => {
+  test("accepts coordinates given as strings", () => {
+    const location = buildLocation({ latitude: "51.5007", longitude: "-0.1246", name: " Big Ben ", address: "" });
+    assert.deepEqual(location, { latitude: 51.5007, longitude: -0.1246, name: "Big Ben" });
+    assert.equal(checkLocation(location), null);
+  });
+
+  test("rejects missing or out of range coordinates", () => {
+    assert.match(checkLocation(buildLocation({ latitude: "", longitude: 2 })), /latitude/);
+    assert.match(checkLocation(buildLocation({ latitude: 10, longitude: 200 })), /longitude/);
+  });
+
+  test("report missing or malformed input instead of throwing", () => {
+    for (const input of [null, undefined, "51.5,-0.12", [51.5, -0.12]]) {
+      assert.match(checkLocation(buildLocation(input)), /latitude/, String(input));
+    }
+  });
+
+  test("are sent as Cloud API location messages", () => {
+    const location = buildLocation({ latitude: 51.5007, longitude: -0.1246, name: "Big Ben" });
+    const body = buildRequest({ wa_id: "1", content_type: "location", content: "Big Ben", location });
+    assert.deepEqual(body.location, { latitude: 51.5007, longitude: -0.1246, name: "Big Ben" });
+  });
+});
+
+describe("contact cards", () => {
+  const [contact] = buildContacts([{ name: "Anita Sharma", phones: [{ phone: "+91 98450 12345" }, { phone: " " }], company: "Acme" }]);
+
+  test("drop empty phone numbers", () => {
+    assert.deepEqual(contact.phones, [{ phone: "+91 98450 12345" }]);
+    assert.equal(checkContacts([contact]), null);
+  });
+
+  test("need a name and a phone number", () => {
+    assert.match(checkContacts([]), /at least one/);
+    assert.match(checkContacts(buildContacts([{ phones: [{ phone: "1" }] }])), /name/);
+    assert.match(checkContacts(buildContacts([{ name: "Nobody" }])), /phone/);
+  });
+
+  test("report missing or malformed input instead of throwing", () => {
+    assert.match(checkContacts(buildContacts(null)), /at least one/);
+    assert.match(checkContacts(buildContacts(undefined)), /at least one/);
+    assert.match(checkContacts(buildContacts([null])), /name/);
+    assert.match(checkContacts(buildContacts([{ name: "Nobody", phones: [null], emails: [null] }])), /phone/);
+    assert.match(checkContacts(buildContacts([{ name: "Nobody", phones: "+1 555" }])), /phone/);
+  });
+
+  test("are sent with the name split for the Cloud API", () => {
+    assert.deepEqual(toCloudContacts([contact]), [{
+      name: { formatted_name: "Anita Sharma", first_name: "Anita", last_name: "Sharma" },
+      phones: [{ phone: "+91 98450 12345", type: "CELL" }],
+      org: { company: "Acme" }
+    }]);
+    assert.equal(buildRequest({ wa_id: "1", content_type: "contact", contacts: [contact] }).type, "contacts");
+  });
+});
@@ -0,0 +1,126 @@
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import apiRoutes from "../routes/api.js";
+import { signToken } from "../middleware/auth.js";
+
+// One of our messages whose save() resolves without a database
+function unsavedMessage(fields = {}) {
+  const message = new Message({ msg_id: "msg_test", wa_id: "15550001111", content: "Hello", from: "me", ...fields });
+  message.save = async function() { return this; };
+  return message;
+}
+
+// Structured content a tombstone must not give away
+const sharedContent = {
+  content_type: "location",
+  content: "Cubbon Park",
+  location: { latitude: 12.9716, longitude: 77.5946, name: "Cubbon Park" },
+  contacts: [{ name: "Anita Sharma", phones: [{ phone: "+91 98450 12345" }], vcard: "BEGIN:VCARD" }],
+  template: { name: "order_update", language: "en_US", components: [{ type: "body", parameters: [{ type: "text", text: "secret" }] }] },
+  interactive: { type: "button", body: "Pick one", buttons: [{ id: "a", title: "A" }] },
+  reactions: [{ from: "remote", emoji: "👍" }]
+};
+
+describe("Message.softDelete", () => {
+  let updateMany;
+
+  before(() => {
+    updateMany = mock.method(Message, "updateMany", async () => ({ modifiedCount: 0 }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  test("takes a pending message out of the outbound queue", async () => {
+    const message = unsavedMessage({ status: "pending", next_attempt_at: new Date() });
+
+    await message.softDelete();
+
+    assert.equal(message.is_deleted, true);
+    assert.equal(message.next_attempt_at, undefined);
+  });
+
+  test("drops structured content and reactions", async () => {
+    const message = unsavedMessage(sharedContent);
+
+    await message.softDelete();
+
+    const json = message.toJSON();
+    assert.equal(json.content_type, "text");
+    for (const field of ["location", "contacts", "template", "interactive"]) {
+      assert.equal(json[field], undefined, field);
+    }
+    assert.deepEqual(json.reactions, []);
+  });
+
+  test("drops the quoted text from replies to the message", async () => {
+    const message = unsavedMessage({ _id: new mongoose.Types.ObjectId() });
+
+    await message.softDelete();
+
+    const [filter, update] = updateMany.mock.calls.at(-1).arguments;
+    assert.deepEqual(filter, { reply_to: message._id });
+    assert.deepEqual(update, { $unset: { reply_to_content: 1 } });
+  });
+});
+
+describe("deleting a message for everyone", () => {
+  const user = new User({ username: "agent", password: "secret-password" });
+  const emitted = [];
+  let server;
+  let baseUrl;
+  let token;
+
+  before(async () => {
+    process.env.JWT_SECRET ||= "test-secret";
+    token = signToken(user);
+    mock.method(User, "findById", async () => user);
+    mock.method(Message, "updateMany", async () => ({ modifiedCount: 0 }));
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.io = { emit: (event, data) => emitted.push({ event, data }), to: () => req.io };
+      next();
+    });
+    app.use("/api", apiRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  test("no longer returns what was shared", async () => {
+    const message = unsavedMessage({ _id: new mongoose.Types.ObjectId(), sent_by: user._id, ...sharedContent });
+    mock.method(Message, "findById", async () => message);
+    // The page read back after the delete is the stored tombstone
+    mock.method(Message, "getMessagesByConversation", async () => [message.toObject()]);
+
+    const headers = { Authorization: `Bearer ${token}` };
+    const deleted = await fetch(`${baseUrl}/messages/${message._id}?scope=everyone`, { method: "DELETE", headers });
+    assert.equal(deleted.status, 200);
+
+    const page = await fetch(`${baseUrl}/messages/${message.wa_id}`, { headers });
+    const [tombstone] = await page.json();
+    const { data: event } = emitted.find(e => e.event === "message:deleted");
+
+    for (const sent of [tombstone, JSON.parse(JSON.stringify(event.message))]) {
+      assert.equal(sent.is_deleted, true);
+      assert.equal(sent.content, "This message was deleted");
+      for (const field of ["location", "contacts", "template", "interactive"]) {
+        assert.equal(sent[field], undefined, field);
+      }
+      assert.deepEqual(sent.reactions, []);
+    }
+  });
+});
@@ -0,0 +1,77 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { countPlaceholders, checkPlaceholders, fillPlaceholders } from "../utils/templateVariables.js";
+import Template from "../models/Template.js";
+import { buildRequest } from "../services/providers/cloudApi.js";
+
+describe("template placeholders", () => {
+  test("counts variables by the highest placeholder", () => {
+    assert.equal(countPlaceholders("Hi {{1}}, order {{2}} ships {{ 3 }}"), 3);
+    assert.equal(countPlaceholders("No variables"), 0);
+    assert.equal(countPlaceholders(undefined), 0);
+  });
+
+  test("requires placeholders numbered without gaps", () => {
+    assert.equal(checkPlaceholders("Hi {{1}}, {{2}} and {{1}} again"), null);
+    assert.match(checkPlaceholders("Hi {{2}}"), /\{\{1\}\} is missing/);
+  });
+
+  test("fills placeholders and leaves missing ones", () => {
+    assert.equal(fillPlaceholders("Hi {{1}}, order {{2}}", ["Ann"]), "Hi Ann, order {{2}}");
+  });
+});
+
+describe("Template", () => {
+  const template = new Template({
+    name: "Order_Update",
+    header: "Order {{1}}",
+    body: "Hi {{1}}, your order ships on {{2}}.",
+    footer: "Reply STOP to opt out",
+    buttons: [{ type: "quick_reply", text: "Track" }]
+  });
+
+  test("validates placeholders", () => {
+    assert.equal(template.validateSync(), undefined);
+    assert.equal(template.name, "order_update");
+
+    const invalid = new Template({ name: "bad", body: "Hi {{2}}", header: "{{1}} {{2}}" });
+    const err = invalid.validateSync();
+    assert.ok(err.errors.body);
+    assert.ok(err.errors.header);
+  });
+
+  test("reports missing variable values", () => {
+    assert.deepEqual(template.variable_counts, { header: 1, body: 2 });
+    assert.match(template.checkVariables({ header: ["#42"], body: ["Ann"] }), /body variable \{\{2\}\}/);
+    assert.equal(template.checkVariables({ header: ["#42"], body: ["Ann", "Friday"] }), null);
+  });
+
+  test("requires the values of each component as an array", () => {
+    assert.match(template.checkVariables({ header: ["#42"], body: "Ann and Friday" }), /variables\.body must be an array/);
+    assert.match(template.checkVariables({ header: "#42", body: ["Ann", "Friday"] }), /variables\.header must be an array/);
+    assert.match(template.checkVariables(null), /variables must be an object/);
+    assert.match(template.checkVariables(["#42"]), /variables must be an object/);
+  });
+
+  test("rejects values that make a text too long to send", () => {
+    assert.match(template.checkVariables({ header: ["#42"], body: ["A".repeat(5000), "Friday"] }), /body is 5032 characters long/);
+    assert.match(template.checkVariables({ header: ["#".repeat(60)], body: ["Ann", "Friday"] }), /header is 66 characters long/);
+  });
+
+  test("builds the message and its Cloud API request", () => {
+    const message = template.toMessage({ header: ["#42"], body: ["Ann", " Friday "] });
+
+    assert.equal(message.content_type, "template");
+    assert.equal(message.content, "Hi Ann, your order ships on Friday.");
+    assert.equal(message.template.header, "Order #42");
+    assert.deepEqual(message.template.components, [
+      { type: "header", parameters: [{ type: "text", text: "#42" }] },
+      { type: "body", parameters: [{ type: "text", text: "Ann" }, { type: "text", text: "Friday" }] }
+    ]);
+
+    const body = buildRequest({ wa_id: "1", ...message });
+    assert.equal(body.type, "template");
+    assert.deepEqual(body.template.language, { code: "en_US" });
+    assert.equal(body.template.components.length, 2);
+  });
+});
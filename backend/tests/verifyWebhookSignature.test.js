@@ -0,0 +1,79 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import verifyWebhookSignature from "../middleware/verifyWebhookSignature.js";
+
+const SECRET = "test-app-secret";
+const body = Buffer.from(JSON.stringify({ object: "whatsapp_business_account", entry: [] }));
+
+const sign = (payload, secret = SECRET) =>
+  "sha256=" + crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// Run the middleware against a fake request; returns the status it answered
+// with, or "next" when it let the request through
+function verify(signature, rawBody = body) {
+  const req = {
+    ip: "127.0.0.1",
+    rawBody,
+    get: (name) => name === "X-Hub-Signature-256" ? signature : undefined
+  };
+  let result = null;
+  const res = {
+    status(code) {
+      result = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  verifyWebhookSignature(req, res, () => { result = "next"; });
+  return result;
+}
+
+describe("verifyWebhookSignature", () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const name of ["WHATSAPP_APP_SECRET", "ALLOW_UNSIGNED_WEBHOOKS", "NODE_ENV"]) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+    process.env.WHATSAPP_APP_SECRET = SECRET;
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test("accepts a valid signature", () => {
+    assert.equal(verify(sign(body)), "next");
+  });
+
+  test("rejects a wrong signature", () => {
+    assert.equal(verify(sign(body, "other-secret")), 403);
+    assert.equal(verify(sign(Buffer.from("{}"))), 403);
+  });
+
+  test("rejects a missing signature header", () => {
+    assert.equal(verify(undefined), 401);
+  });
+
+  test("rejects every webhook when no app secret is set", () => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    assert.equal(verify(undefined), 401);
+    assert.equal(verify(sign(body)), 401);
+  });
+
+  test("accepts unsigned webhooks only when explicitly allowed outside production", () => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    process.env.ALLOW_UNSIGNED_WEBHOOKS = "true";
+    assert.equal(verify(undefined), "next");
+
+    process.env.NODE_ENV = "production";
+    assert.equal(verify(undefined), 401);
+  });
+});
@@ -0,0 +1,62 @@
+import { buildContacts, checkContacts, checkLocation } from "./sharedCards.js";
+
+// Forwarding: copies of existing messages sent to other conversations,
+// flagged with `is_forwarded`. Media is forwarded by reference to the
+// stored file, not uploaded again.
+
+// WhatsApp lets a message be forwarded to at most 5 chats at once
+export const MAX_FORWARD_TARGETS = 5;
+export const MAX_FORWARD_MESSAGES = 100;
+
+const MEDIA_TYPES = ["image", "audio", "video", "document", "sticker"];
+const MEDIA_FIELDS = ["media_url", "media_mime_type", "media_size", "media_filename", "thumbnail_url"];
+
+/**
+ * Describe why a message can't be forwarded, or return null when it can
+ */
+export function checkForwardable(message) {
+  if (message.is_deleted) return "Deleted messages can't be forwarded";
+  if (MEDIA_TYPES.includes(message.content_type) && !message.media_url) {
+    return "This media isn't stored on the server, so it can't be forwarded";
+  }
+  // Cards received without usable data can't be sent on
+  if (message.content_type === "location" && checkLocation(message.location)) {
+    return "This location has no valid coordinates, so it can't be forwarded";
+  }
+  if (message.content_type === "contact" && checkContacts(buildContacts(message.contacts))) {
+    return "This contact card has no name or phone number, so it can't be forwarded";
+  }
+  return null;
+}
+
+/**
+ * The content fields of a forwarded copy of `message`. The contact's answers
+ * to buttons and lists become plain text, since only the business can send
+ * interactive messages; replies, reactions and delivery state are not copied.
+ */
+export function buildForwardCopy(message) {
+  const copy = {
+    content: message.content,
+    content_type: message.content_type || "text"
+  };
+
+  if (MEDIA_TYPES.includes(copy.content_type)) {
+    for (const field of MEDIA_FIELDS) {
+      if (message[field] !== undefined && message[field] !== null) copy[field] = message[field];
+    }
+  } else if (copy.content_type === "interactive") {
+    if (["button", "list"].includes(message.interactive?.type)) {
+      copy.interactive = message.interactive;
+    } else {
+      copy.content_type = "text";
+    }
+  } else if (copy.content_type === "template") {
+    copy.template = message.template;
+  } else if (copy.content_type === "location") {
+    copy.location = message.location;
+  } else if (copy.content_type === "contact") {
+    copy.contacts = message.contacts;
+  }
+
+  return copy;
+}
@@ -0,0 +1,154 @@
+// Interactive messages: reply buttons and list menus we send, and the
+// contact's answers to them. Stored in Message.interactive as
+//   { type: "button" | "list" | "button_reply" | "list_reply",
+//     header, body, footer, buttons: [{ id, title }],
+//     button, sections: [{ title, rows: [{ id, title, description }] }],
+//     reply: { id, title, description } }
+
+// Cloud API limits
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const MAX_SECTIONS = 10;
+const LIMITS = { header: 60, body: 1024, footer: 60, buttonTitle: 20, listButton: 20, sectionTitle: 24, rowTitle: 24, rowDescription: 72 };
+
+const text = (value) => typeof value === "string" ? value.trim() : "";
+
+// Anything but a plain object counts as empty, so checkInteractive reports it
+const object = (value) => value && typeof value === "object" && !Array.isArray(value) ? value : {};
+const list = (value) => Array.isArray(value) ? value.map(object) : [];
+
+/**
+ * Clean up an interactive message composed by an agent: trim texts, drop
+ * unknown fields and give buttons and rows without an id one
+ */
+export function buildInteractive(value) {
+  const input = object(value);
+  const interactive = {
+    type: input.type,
+    body: text(input.body)
+  };
+  if (text(input.header)) interactive.header = text(input.header);
+  if (text(input.footer)) interactive.footer = text(input.footer);
+
+  if (input.type === "button") {
+    interactive.buttons = list(input.buttons).map((button, i) => ({
+      id: text(button.id) || `button_${i + 1}`,
+      title: text(button.title)
+    }));
+  } else if (input.type === "list") {
+    let rowNumber = 0;
+    interactive.button = text(input.button);
+    interactive.sections = list(input.sections).map(section => ({
+      title: text(section.title),
+      rows: list(section.rows).map(row => ({
+        id: text(row.id) || `row_${++rowNumber}`,
+        title: text(row.title),
+        ...(text(row.description) && { description: text(row.description) })
+      }))
+    }));
+  }
+  return interactive;
+}
+
+/**
+ * Describe what the Cloud API would reject about an interactive message we
+ * send, or return null when it is valid
+ */
+export function checkInteractive(interactive) {
+  if (!["button", "list"].includes(interactive?.type)) return 'interactive.type must be "button" or "list"';
+  if (!interactive.body) return "interactive.body is required";
+  if (interactive.body.length > LIMITS.body) return `interactive.body can be at most ${LIMITS.body} characters`;
+  if (interactive.header?.length > LIMITS.header) return `interactive.header can be at most ${LIMITS.header} characters`;
+  if (interactive.footer?.length > LIMITS.footer) return `interactive.footer can be at most ${LIMITS.footer} characters`;
+
+  const options = interactive.type === "button"
+    ? interactive.buttons || []
+    : (interactive.sections || []).flatMap(section => section.rows);
+
+  if (interactive.type === "button") {
+    if (options.length < 1 || options.length > MAX_BUTTONS) return `Button messages need 1 to ${MAX_BUTTONS} buttons`;
+    if (options.some(button => !button.title || button.title.length > LIMITS.buttonTitle)) {
+      return `Button titles must be 1 to ${LIMITS.buttonTitle} characters`;
+    }
+  } else {
+    const sections = interactive.sections || [];
+    if (!interactive.button || interactive.button.length > LIMITS.listButton) {
+      return `interactive.button (the list's menu label) must be 1 to ${LIMITS.listButton} characters`;
+    }
+    if (sections.length < 1 || sections.length > MAX_SECTIONS) return `List messages need 1 to ${MAX_SECTIONS} sections`;
+    if (sections.length > 1 && sections.some(section => !section.title)) return "Sections need a title when there are several";
+    if (sections.some(section => section.title.length > LIMITS.sectionTitle)) {
+      return `Section titles can be at most ${LIMITS.sectionTitle} characters`;
+    }
+    if (sections.some(section => section.rows.length === 0)) return "Every section needs at least one row";
+    if (options.length > MAX_LIST_ROWS) return `List messages can have at most ${MAX_LIST_ROWS} rows`;
+    if (options.some(row => !row.title || row.title.length > LIMITS.rowTitle)) {
+      return `Row titles must be 1 to ${LIMITS.rowTitle} characters`;
+    }
+    if (options.some(row => row.description?.length > LIMITS.rowDescription)) {
+      return `Row descriptions can be at most ${LIMITS.rowDescription} characters`;
+    }
+  }
+
+  if (new Set(options.map(option => option.id)).size !== options.length) return "Button and row ids must be unique";
+  return null;
+}
+
+/**
+ * The Cloud API `interactive` object for a button or list message we send
+ */
+export function toCloudInteractive(interactive) {
+  const action = interactive.type === "button"
+    ? { buttons: interactive.buttons.map(({ id, title }) => ({ type: "reply", reply: { id, title } })) }
+    : {
+        button: interactive.button,
+        sections: interactive.sections.map(section => ({
+          ...(section.title && { title: section.title }),
+          rows: section.rows.map(({ id, title, description }) => ({ id, title, ...(description && { description }) }))
+        }))
+      };
+
+  return {
+    type: interactive.type,
+    ...(interactive.header && { header: { type: "text", text: interactive.header } }),
+    body: { text: interactive.body },
+    ...(interactive.footer && { footer: { text: interactive.footer } }),
+    action
+  };
+}
+
+/**
+ * Read the interactive part of a webhook message: the contact's
+ * `button_reply` / `list_reply` (or a `button` quick-reply answer to a
+ * template), or a button/list message sent from the business number.
+ * Returns null for anything else.
+ */
+export function fromCloudInteractive(msg) {
+  if (msg.type === "button" && msg.button) {
+    return { type: "button_reply", reply: { id: msg.button.payload, title: msg.button.text } };
+  }
+
+  const interactive = msg.interactive;
+  if (!interactive) return null;
+
+  const reply = interactive.button_reply || interactive.list_reply;
+  if (reply) {
+    return {
+      type: interactive.button_reply ? "button_reply" : "list_reply",
+      reply: { id: reply.id, title: reply.title, ...(reply.description && { description: reply.description }) }
+    };
+  }
+
+  if (interactive.type === "button" || interactive.type === "list") {
+    return buildInteractive({
+      type: interactive.type,
+      header: interactive.header?.text,
+      body: interactive.body?.text,
+      footer: interactive.footer?.text,
+      buttons: interactive.action?.buttons?.map(button => button.reply || button),
+      button: interactive.action?.button,
+      sections: interactive.action?.sections
+    });
+  }
+  return null;
+}
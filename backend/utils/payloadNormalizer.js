@@ -0,0 +1,381 @@
+// Shared payload normalization for the live webhook route and the batch importer.
+// Everything here is pure: it turns any supported payload shape into plain
+// Message documents and status updates, and leaves storage to the caller.
+
+import mongoose from "mongoose";
+import { fromCloudInteractive } from "./interactiveMessages.js";
+import { buildLocation, checkLocation, buildContacts, describeLocation, describeContacts } from "./sharedCards.js";
+
+export const CONTENT_TYPES = ["text", "image", "audio", "video", "document", "location", "contact", "sticker", "template", "interactive"];
+export const MESSAGE_STATUSES = ["sent", "delivered", "read", "pending", "failed"];
+
+// The statuses a message may move on from to reach each status. Statuses only
+// move forward, so a late "delivered" can't undo "read", and a send can only
+// fail before it has been delivered.
+export const STATUS_TRANSITIONS = {
+  pending: [],
+  sent: ["pending"],
+  delivered: ["pending", "sent"],
+  read: ["pending", "sent", "delivered"],
+  failed: ["pending", "sent"]
+};
+
+export const MEDIA_TYPES = ["image", "audio", "video", "document", "sticker"];
+
+/**
+ * Parse a payload timestamp. Accepts Date objects, ISO strings and Unix epochs
+ * in seconds or milliseconds, as numbers or numeric strings (the Cloud API sends
+ * epoch seconds as strings). Returns null when missing or unparseable.
+ */
+export function parseTimestamp(timestamp) {
+  if (timestamp === undefined || timestamp === null || timestamp === "") return null;
+  
+  let value = timestamp;
+  if (typeof value === "string" && /^\d+(\.\d+)?$/.test(value.trim())) {
+    value = Number(value);
+  }
+  
+  // Unix timestamp (seconds or milliseconds)
+  const date = typeof value === "number"
+    ? new Date(value < 1e12 ? value * 1000 : value)
+    : new Date(value);
+  
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Decide whether a message was sent by us ("me") or by the contact ("remote").
+ * For Cloud API payloads, messages sent from the business number are ours.
+ */
+export function determineMessageDirection(msg, payload = {}) {
+  if (msg.from === "me" || payload.from === "me") return "me";
+  if (msg.direction === "outbound" || payload.direction === "outbound") return "me";
+  if (msg.sender === "me" || payload.sender === "me") return "me";
+  
+  const businessNumber = payload.metadata?.display_phone_number;
+  if (businessNumber && msg.from === businessNumber) return "me";
+  
+  return "remote";
+}
+
+// Shared location, when it has valid coordinates
+function extractLocation(msg) {
+  if (!msg.location) return null;
+  const location = buildLocation(msg.location);
+  return checkLocation(location) ? null : location;
+}
+
+// Shared contact cards (the message's own `contacts`, not the sender profiles
+// of the surrounding payload)
+function extractContacts(msg) {
+  return Array.isArray(msg.contacts) && msg.contacts.length > 0 ? buildContacts(msg.contacts) : null;
+}
+
+export function extractMessageContent(msg) {
+  // Try different content fields
+  const text = typeof msg.text === "string" ? msg.text : msg.text?.body;
+  const interactive = fromCloudInteractive(msg);
+  const location = extractLocation(msg);
+  const contacts = extractContacts(msg);
+  
+  return text || 
+         interactive?.reply?.title ||
+         interactive?.body || 
+         (location && describeLocation(location)) ||
+         (contacts && describeContacts(contacts)) || 
+         msg.body?.text || 
+         (typeof msg.body === "string" && msg.body) ||
+         msg.content || 
+         msg.caption ||
+         msg[msg.type]?.caption ||
+         (msg.type && msg.type !== 'text' ? `📎 ${msg.type}` : '') ||
+         JSON.stringify(msg).substring(0, 1000);
+}
+
+export function determineContentType(msg) {
+  // Only interactive messages we can read (button/list messages and the
+  // answers to them, including `button` answers to template quick replies)
+  if (fromCloudInteractive(msg)) return 'interactive';
+  
+  for (const type of [msg.type, msg.content_type]) {
+    if (CONTENT_TYPES.includes(type) && type !== 'interactive') return type;
+  }
+  
+  if (msg.image) return 'image';
+  if (msg.audio) return 'audio';
+  if (msg.video) return 'video';
+  if (msg.document) return 'document';
+  if (msg.location) return 'location';
+  if (msg.contacts) return 'contact';
+  if (msg.sticker) return 'sticker';
+  return 'text';
+}
+
+// Find the profile name a Cloud API `contacts` array gives for a wa_id
+function findContactName(contacts, wa_id) {
+  const contact = (contacts || []).find(c => c.wa_id === wa_id);
+  return contact?.profile?.name;
+}
+
+// The contact side of the conversation: the sender of inbound messages and the
+// recipient of outbound ones
+function resolveWaId(msg, payload, direction) {
+  if (msg.wa_id || payload.wa_id) return msg.wa_id || payload.wa_id;
+  
+  if (direction === "me") {
+    return msg.to || msg.recipient_id || payload.contacts?.[0]?.wa_id || payload.to || "unknown";
+  }
+  return msg.from || payload.from || "unknown";
+}
+
+// Cloud API payloads name the business number in their metadata
+function resolvePhoneNumberId(msg, payload) {
+  return payload.metadata?.phone_number_id || msg.phone_number_id || payload.phone_number_id;
+}
+
+/**
+ * Map a single message (in any supported shape) onto a Message document.
+ * `payload` is the surrounding object — the Cloud API change value, or the
+ * legacy wrapper — and supplies contacts, metadata and fallback fields.
+ */
+export function createMessageDocument(msg, payload = {}) {
+  const from = determineMessageDirection(msg, payload);
+  const wa_id = resolveWaId(msg, payload, from);
+  const phone_number_id = resolvePhoneNumberId(msg, payload);
+  const content_type = determineContentType(msg);
+  const media = MEDIA_TYPES.includes(content_type) ? msg[content_type] : null;
+  const interactive = content_type === "interactive" ? fromCloudInteractive(msg) : null;
+  const location = content_type === "location" ? extractLocation(msg) : null;
+  const contacts = content_type === "contact" ? extractContacts(msg) : null;
+  const timestamp = parseTimestamp(msg.timestamp || payload.timestamp) || new Date();
+  
+  return {
+    // Core identifiers
+    wa_id,
+    name: msg.name || payload.name || msg.profile?.name || findContactName(payload.contacts, wa_id) || `User ${wa_id}`,
+    number: msg.number || payload.number || msg.profile?.phone || wa_id,
+    
+    // Message IDs
+    msg_id: msg.id || msg.msg_id || msg.message_id,
+    meta_msg_id: msg.meta_msg_id || msg.wamid || (payload.metadata && msg.id),
+    
+    // Direction and participants
+    from,
+    to: from === "me" ? wa_id : "me",
+    
+    // Business number the conversation belongs to
+    ...(phone_number_id && { phone_number_id }),
+    
+    // Content
+    content: extractMessageContent(msg),
+    content_type,
+    
+    // Media information
+    ...(media?.link || media?.url ? { media_url: media.link || media.url } : {}),
+    ...(media?.mime_type && { media_mime_type: media.mime_type }),
+    
+    // Buttons/lists and the contact's answers to them
+    ...(interactive && { interactive }),
+    
+    // Shared location and contact cards
+    ...(location && { location }),
+    ...(contacts && { contacts }),
+    
+    // Timing
+    timestamp,
+    
+    // Status
+    status: MESSAGE_STATUSES.includes(msg.status) ? msg.status : "sent",
+    
+    // Additional fields
+    is_forwarded: Boolean(msg.forwarded || msg.context?.forwarded),
+    
+    // Reply information. Cloud API replies only carry the quoted message's
+    // provider id (`context.id`); it is resolved to `reply_to` when stored
+    ...(msg.context?.id && { reply_to_provider_id: msg.context.id }),
+    ...(msg.context?.quoted_message && {
+      reply_to_content: msg.context.quoted_message.body?.substring(0, 100)
+    }),
+    
+    // Raw payload for debugging
+    raw_payload: msg
+  };
+}
+
+/**
+ * Map a status update onto `{ ids, status, timestamp, error_message }`, where
+ * `ids` are the provider/local message ids it may refer to and
+ * `error_message` is why a "failed" send failed (from the Cloud API
+ * `errors` array). Returns null when it names no message or carries an
+ * unknown status.
+ */
+export function normalizeStatus(update, payload = {}) {
+  const ids = [update.id, update.msg_id, update.meta_msg_id]
+    .filter(Boolean);
+  if (ids.length === 0 && payload.id) ids.push(payload.id);
+  
+  const status = update.status || update.status_update || payload.status || "delivered";
+  
+  if (ids.length === 0 || !MESSAGE_STATUSES.includes(status)) return null;
+  
+  const error = update.errors?.[0];
+  const error_message = status === "failed" && error
+    ? error.error_data?.details || error.title || error.message
+    : undefined;
+  
+  return {
+    ids: [...new Set(ids)],
+    status,
+    timestamp: parseTimestamp(update.timestamp) || new Date(),
+    recipient_id: update.recipient_id,
+    ...(error_message && { error_message })
+  };
+}
+
+/**
+ * Map a Cloud API `reaction` message onto `{ ids, emoji, from, wa_id, timestamp }`,
+ * where `ids` name the message reacted to and `emoji` is "" when the
+ * reaction was removed. Returns null when it names no message.
+ */
+export function normalizeReaction(msg, payload = {}) {
+  const targetId = msg.reaction?.message_id;
+  if (!targetId) return null;
+  
+  const from = determineMessageDirection(msg, payload);
+  return {
+    ids: [targetId],
+    emoji: msg.reaction.emoji || "",
+    from,
+    wa_id: resolveWaId(msg, payload, from),
+    timestamp: parseTimestamp(msg.timestamp) || new Date()
+  };
+}
+
+// Map Cloud API contacts onto `{ wa_id, name }`
+function normalizeContacts(contacts) {
+  return (contacts || [])
+    .filter(c => c.wa_id)
+    .map(c => ({ wa_id: c.wa_id, name: c.profile?.name }));
+}
+
+/**
+ * Collect the `value` objects of a WhatsApp Cloud API envelope
+ * (`entry[].changes[].value`). Recorded sample payloads wrap the envelope
+ * in `metaData`, so that is accepted too. Returns null for other shapes.
+ */
+export function getCloudApiValues(payload) {
+  const envelope = payload.metaData || payload;
+  if (!Array.isArray(envelope.entry)) return null;
+  
+  const values = [];
+  for (const entry of envelope.entry) {
+    for (const change of entry.changes || []) {
+      if (change.value) values.push(change.value);
+    }
+  }
+  return values;
+}
+
+// A change value (or legacy wrapper) carrying messages/statuses/contacts arrays
+function collectChangeValue(value, result) {
+  const phoneNumberId = value.metadata?.phone_number_id;
+  if (phoneNumberId && !result.numbers.some(n => n.phone_number_id === phoneNumberId)) {
+    result.numbers.push({ 
+      phone_number_id: phoneNumberId, 
+      display_phone_number: value.metadata.display_phone_number 
+    });
+  }
+  
+  result.contacts.push(...normalizeContacts(value.contacts));
+  
+  for (const msg of value.messages || []) {
+    // Reactions change the message they refer to instead of being stored
+    if (msg.type === "reaction") {
+      const reaction = normalizeReaction(msg, value);
+      if (reaction) result.reactions.push(reaction);
+      else result.skipped++;
+      continue;
+    }
+    result.messages.push(createMessageDocument(msg, value));
+  }
+  
+  for (const update of value.statuses || []) {
+    const status = normalizeStatus(update, value);
+    if (status) result.statuses.push(status);
+    else result.skipped++;
+  }
+}
+
+function collectPayload(payload, result) {
+  if (Array.isArray(payload)) {
+    payload.forEach(item => collectPayload(item, result));
+    return;
+  }
+  
+  if (!payload || typeof payload !== "object") {
+    result.skipped++;
+    return;
+  }
+  
+  const cloudValues = getCloudApiValues(payload);
+  if (cloudValues) {
+    cloudValues.forEach(value => collectChangeValue(value, result));
+    return;
+  }
+  
+  if (payload.messages || payload.statuses || payload.contacts) {
+    collectChangeValue(payload, result);
+    return;
+  }
+  
+  if (payload.message) {
+    result.messages.push(createMessageDocument(payload.message, payload));
+    return;
+  }
+  
+  if (payload.type === "status" || payload.status_update) {
+    const status = normalizeStatus(payload, payload);
+    if (status) result.statuses.push(status);
+    else result.skipped++;
+    return;
+  }
+  
+  // Single message fallback
+  if (payload.type === "message" || payload.id || payload.message_id || payload.content || payload.text) {
+    result.messages.push(createMessageDocument(payload, payload));
+    return;
+  }
+  
+  result.skipped++;
+}
+
+/**
+ * Normalize any supported payload — Cloud API envelopes (batched or not),
+ * flattened `messages` / `statuses` / `contacts` objects, single legacy
+ * messages or status updates, and arrays of any of these.
+ *
+ * Returns `{ messages, statuses, reactions, contacts, numbers, skipped }`,
+ * where `numbers` are the business numbers named in Cloud API metadata and
+ * `skipped` counts the parts that could not be understood.
+ */
+export function normalizePayload(payload) {
+  const result = { messages: [], statuses: [], reactions: [], contacts: [], numbers: [], skipped: 0 };
+  collectPayload(payload, result);
+  return result;
+}
+
+/**
+ * Build a query matching the messages a list of ids may refer to: our own
+ * msg_id, the provider's meta_msg_id, or the Mongo _id.
+ */
+export function buildMessageIdQuery(ids) {
+  const objectIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+  
+  return {
+    $or: [
+      { msg_id: { $in: ids } },
+      { meta_msg_id: { $in: ids } },
+      ...(objectIds.length ? [{ _id: { $in: objectIds } }] : [])
+    ]
+  };
+}
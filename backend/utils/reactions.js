@@ -0,0 +1,21 @@
+// Reactions are a single emoji, as WhatsApp only accepts those
+
+// Pictographs, flags (pairs of regional indicators) and keycaps like 1️⃣
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}{2}|⃣/u;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * Describe what is wrong with a reaction we send, or return null when it is
+ * one emoji or empty (which removes the reaction)
+ */
+export function checkReactionEmoji(emoji) {
+  if (typeof emoji !== "string") return "emoji must be a string";
+  if (emoji === "") return null;
+
+  const [first, second] = graphemes.segment(emoji);
+  if (second || !EMOJI_PATTERN.test(first.segment)) {
+    return "emoji must be a single emoji, or empty to remove the reaction";
+  }
+  return null;
+}
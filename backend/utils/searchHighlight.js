@@ -0,0 +1,89 @@
+// Highlighting for full-text search results. MongoDB's $text search ranks
+// messages but doesn't say which words matched, so the query terms are found
+// again in the content here. Pure functions, shared by routes and tests.
+
+const WORD_CHAR = "[\\p{L}\\p{N}]";
+const EDGE_PUNCTUATION = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a $text search string into the terms to highlight. Quoted phrases are
+ * kept whole and negated terms ("-word" or -"some phrase") are dropped.
+ */
+export function parseSearchTerms(query = "") {
+  const terms = [];
+  
+  for (const [, negatedPhrase, phrase, negatedWord, word] of query.matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+    if (negatedPhrase || negatedWord) continue;
+    
+    const term = (phrase ?? word).replace(EDGE_PUNCTUATION, "").toLowerCase();
+    if (term && !terms.includes(term)) terms.push(term);
+  }
+  
+  return terms;
+}
+
+/**
+ * Find where the terms occur in `text`, as sorted, non-overlapping
+ * [start, end) ranges. Terms match at the start of a word and the highlight
+ * runs to the end of that word, so "deliver" marks all of "delivered" the way
+ * the stemmed text index would have matched it.
+ */
+export function findMatches(text = "", terms = []) {
+  if (!text || terms.length === 0) return [];
+  
+  const ranges = [];
+  for (const term of terms) {
+    const pattern = new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(term)}${WORD_CHAR}*`, "giu");
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  
+  ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  
+  // Merge overlapping ranges, e.g. from a phrase and one of its words
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Cut a snippet of about `radius` characters either side of the first match
+ * and return it with the highlight ranges that fall inside it.
+ * Returns `{ text, highlights }`; an ellipsis marks trimmed ends.
+ */
+export function buildSnippet(text = "", terms = [], { radius = 60 } = {}) {
+  const matches = findMatches(text, terms);
+  
+  if (text.length <= radius * 2) {
+    return { text, highlights: matches };
+  }
+  
+  const anchor = matches.length > 0 ? matches[0][0] : 0;
+  let start = Math.max(0, anchor - radius);
+  const end = Math.min(text.length, start + radius * 2);
+  start = Math.max(0, end - radius * 2);
+  
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const shift = prefix.length - start;
+  
+  const highlights = matches
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [from + shift, to + shift]);
+  
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    highlights
+  };
+}
@@ -0,0 +1,29 @@
+// WhatsApp's customer service window: a business may send free-form messages
+// for 24 hours after the contact's last message. Outside it only template
+// messages can be sent.
+
+export const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Error code returned when a free-form send is rejected because the window has closed
+export const SERVICE_WINDOW_CLOSED = "SERVICE_WINDOW_CLOSED";
+
+// ENFORCE_SERVICE_WINDOW=false turns the rule off, e.g. to chat with old sample data
+export function isServiceWindowEnforced() {
+  return process.env.ENFORCE_SERVICE_WINDOW !== "false";
+}
+
+/**
+ * The window opened by an inbound message at `lastInboundAt` (null when the
+ * contact never wrote): `{ enforced, open, last_inbound_at, expires_at }`
+ */
+export function getServiceWindow(lastInboundAt, { now = new Date(), enforced = isServiceWindowEnforced() } = {}) {
+  const last_inbound_at = lastInboundAt ? new Date(lastInboundAt) : null;
+  const expires_at = last_inbound_at ? new Date(last_inbound_at.getTime() + SERVICE_WINDOW_MS) : null;
+
+  return {
+    enforced,
+    open: !enforced || (expires_at !== null && expires_at > now),
+    last_inbound_at,
+    expires_at
+  };
+}
@@ -0,0 +1,120 @@
+// Location pins and contact cards, stored in Message.location and
+// Message.contacts:
+//   location: { latitude, longitude, name, address, url }
+//   contacts: [{ name, first_name, last_name, phones: [{ phone, wa_id, type }],
+//                emails: [{ email, type }], company, vcard }]
+
+const text = (value) => typeof value === "string" ? value.trim() : "";
+
+const toNumber = (value) => value === "" || value === null || value === undefined ? NaN : Number(value);
+
+// Anything but a plain object counts as empty, so the checks below report it
+const object = (value) => value && typeof value === "object" && !Array.isArray(value) ? value : {};
+const list = (value) => Array.isArray(value) ? value.map(object) : [];
+
+/**
+ * Clean up a location: coordinates as numbers, optional texts trimmed
+ */
+export function buildLocation(value) {
+  const input = object(value);
+  const location = {
+    latitude: toNumber(input.latitude),
+    longitude: toNumber(input.longitude)
+  };
+  for (const field of ["name", "address", "url"]) {
+    if (text(input[field])) location[field] = text(input[field]);
+  }
+  return location;
+}
+
+/**
+ * Describe what is wrong with a location, or return null when it is valid
+ */
+export function checkLocation(location) {
+  const { latitude, longitude } = location || {};
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return "location.latitude must be between -90 and 90";
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return "location.longitude must be between -180 and 180";
+  return null;
+}
+
+/**
+ * Clean up contact cards. Accepts our shape as well as Cloud API contacts
+ * (`name.formatted_name`, `org.company`), so webhook cards map the same way.
+ */
+export function buildContacts(input) {
+  const contacts = Array.isArray(input) ? list(input) : input ? [object(input)] : [];
+  return contacts.map(contact => {
+    const nameParts = typeof contact.name === "object" && contact.name ? contact.name : {};
+    const first_name = text(contact.first_name || nameParts.first_name);
+    const last_name = text(contact.last_name || nameParts.last_name);
+    const name = text(typeof contact.name === "string" ? contact.name : nameParts.formatted_name) ||
+      [first_name, last_name].filter(Boolean).join(" ");
+
+    return {
+      name,
+      ...(first_name && { first_name }),
+      ...(last_name && { last_name }),
+      phones: list(contact.phones)
+        .filter(phone => text(phone.phone))
+        .map(phone => ({
+          phone: text(phone.phone),
+          ...(text(phone.wa_id) && { wa_id: text(phone.wa_id) }),
+          ...(text(phone.type) && { type: text(phone.type) })
+        })),
+      emails: list(contact.emails)
+        .filter(email => text(email.email))
+        .map(email => ({ email: text(email.email), ...(text(email.type) && { type: text(email.type) }) })),
+      ...(text(contact.company || contact.org?.company) && { company: text(contact.company || contact.org?.company) }),
+      ...(text(contact.vcard) && { vcard: contact.vcard })
+    };
+  });
+}
+
+/**
+ * Describe what is wrong with contact cards we send, or return null
+ */
+export function checkContacts(contacts) {
+  if (!contacts?.length) return "contacts must list at least one contact";
+  if (contacts.some(contact => !contact.name)) return "Every contact needs a name";
+  if (contacts.some(contact => contact.phones.length === 0)) return "Every contact needs a phone number";
+  return null;
+}
+
+// Short text for previews and search: the place or the contact names
+export function describeLocation(location) {
+  return location.name || location.address || `${location.latitude}, ${location.longitude}`;
+}
+
+export function describeContacts(contacts) {
+  return contacts.map(contact => contact.name || contact.phones[0]?.phone).filter(Boolean).join(", ") || "Contact";
+}
+
+/**
+ * The Cloud API `location` object for a location we send
+ */
+export function toCloudLocation({ latitude, longitude, name, address }) {
+  return { latitude, longitude, ...(name && { name }), ...(address && { address }) };
+}
+
+/**
+ * The Cloud API `contacts` array for contact cards we send. The API needs a
+ * first or last name next to the formatted one.
+ */
+export function toCloudContacts(contacts) {
+  return contacts.map(contact => {
+    const [first, ...rest] = contact.name.split(" ");
+    const first_name = contact.first_name || (contact.last_name ? undefined : first);
+    const last_name = contact.last_name || (contact.first_name || !rest.length ? undefined : rest.join(" "));
+
+    return {
+      name: {
+        formatted_name: contact.name,
+        ...(first_name && { first_name }),
+        ...(last_name && { last_name })
+      },
+      phones: contact.phones.map(({ phone, wa_id, type }) => ({ phone, ...(wa_id && { wa_id }), type: type || "CELL" })),
+      ...(contact.emails?.length && { emails: contact.emails.map(({ email, type }) => ({ email, type: type || "WORK" })) }),
+      ...(contact.company && { org: { company: contact.company } })
+    };
+  });
+}
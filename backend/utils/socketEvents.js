@@ -0,0 +1,41 @@
+// Socket.IO events about stored messages, shared by the routes and the
+// outbound queue so clients get the same payloads from both.
+
+// Emit a newly stored message to all clients and to its chat room
+export function emitNewMessage(io, msg) {
+  io.emit("message:new", msg);
+  io.to(`chat_${msg.wa_id}`).emit("message:new", msg);
+}
+
+// Emit a status change for a stored message to all clients and to its chat room.
+// `timestamp` is when the message reached that status; failed sends carry the
+// provider's error text.
+export function emitStatusUpdate(io, msg, status) {
+  const timestamp = msg[`${status}_at`];
+  const error_message = status === "failed" ? msg.error_message : undefined;
+  
+  io.emit("message:status_update", { 
+    messageId: msg._id, 
+    msg_id: msg.msg_id,
+    meta_msg_id: msg.meta_msg_id,
+    status: status,
+    timestamp,
+    error_message,
+    wa_id: msg.wa_id 
+  });
+  io.to(`chat_${msg.wa_id}`).emit("message:status_update", { 
+    messageId: msg._id, 
+    status: status,
+    timestamp,
+    error_message
+  });
+}
+
+// Emit a message's reactions after one was added, replaced or removed
+export function emitReaction(io, msg) {
+  io.emit("message:reaction", { 
+    messageId: msg._id, 
+    wa_id: msg.wa_id, 
+    reactions: msg.reactions 
+  });
+}
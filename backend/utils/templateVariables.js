@@ -0,0 +1,41 @@
+// Helpers for the `{{1}}`, `{{2}}`… placeholders in message template texts.
+// Each template component (header, body) numbers its placeholders from 1.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\d+)\s*\}\}/g;
+
+/**
+ * Number of variables a text takes, i.e. its highest placeholder number
+ */
+export function countPlaceholders(text) {
+  let count = 0;
+  for (const [, n] of (text || "").matchAll(PLACEHOLDER_PATTERN)) {
+    count = Math.max(count, Number(n));
+  }
+  return count;
+}
+
+/**
+ * Check that a text's placeholders run from {{1}} without gaps, as the
+ * Cloud API requires. Returns a problem description, or null when valid.
+ */
+export function checkPlaceholders(text) {
+  const used = new Set([...(text || "").matchAll(PLACEHOLDER_PATTERN)].map(([, n]) => Number(n)));
+  const count = countPlaceholders(text);
+
+  for (let n = 1; n <= count; n++) {
+    if (!used.has(n)) return `Placeholder {{${n}}} is missing; variables must be numbered from {{1}} without gaps`;
+  }
+  return null;
+}
+
+/**
+ * Replace placeholders with `values` (values[0] fills {{1}}). Placeholders
+ * without a value are left as they are.
+ */
+export function fillPlaceholders(text, values = []) {
+  if (!text) return text;
+  return text.replace(PLACEHOLDER_PATTERN, (match, n) => {
+    const value = values[Number(n) - 1];
+    return value === undefined || value === null || value === "" ? match : String(value);
+  });
+}
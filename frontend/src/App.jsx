@@ -1,30 +1,130 @@
-import React, { useEffect, useState } from "react";
-import { getConversations } from "./api";
+import React, { useCallback, useEffect, useState } from "react";
+import { getConversations, getPhoneNumbers, getAuthToken, getCurrentUser, logout, searchMessages } from "./api";
 import ChatList from "./components/ChatList";
 import ChatWindow from "./components/ChatWindow";
 import Header from "./components/Header";
+import Login from "./components/Login";
+import StarredMessages from "./components/StarredMessages";
+import SearchResults from "./components/SearchResults";
 import { io } from "socket.io-client";
 
 export default function App() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [conversations, setConversations] = useState([]);
   const [active, setActive] = useState(null);
+  // A contact has one conversation per business number
+  const [activeNumberId, setActiveNumberId] = useState(null);
   const [socket, setSocket] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [isMobile, setIsMobile] = useState(false);
   const [showChatList, setShowChatList] = useState(true);
+  const [phoneNumbers, setPhoneNumbers] = useState([]);
+  const [phoneNumberId, setPhoneNumberId] = useState(
+    () => localStorage.getItem('wa_clone_phone_number') || null
+  );
+  const [showMenu, setShowMenu] = useState(false);
+  const [showStarred, setShowStarred] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
 
   useEffect(() => {
-    initializeApp();
+    restoreSession();
     handleResize();
     window.addEventListener('resize', handleResize);
+    window.addEventListener('auth:logout', handleLogout);
     
     return () => {
       window.removeEventListener('resize', handleResize);
+      window.removeEventListener('auth:logout', handleLogout);
     };
   }, []);
 
+  // Connect once an agent is logged in
+  useEffect(() => {
+    if (user) initializeApp();
+  }, [user]);
+
+  const loadConversations = useCallback(async () => {
+    try {
+      const data = await getConversations({ phone_number_id: phoneNumberId });
+      console.log('Conversations loaded:', data);
+      setConversations(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Failed to load conversations:', err);
+      // Don't show error for empty conversations, just log it
+      setConversations([]);
+    }
+  }, [phoneNumberId]);
+
+  // Load the conversations once logged in, and again when switching business
+  // number
+  useEffect(() => {
+    if (!user) return;
+    if (phoneNumberId) {
+      localStorage.setItem('wa_clone_phone_number', phoneNumberId);
+    } else {
+      localStorage.removeItem('wa_clone_phone_number');
+    }
+    loadConversations();
+  }, [user, phoneNumberId, loadConversations]);
+
+  // Search message content once typing pauses
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (q.length < 2) {
+      setSearchResults([]);
+      return;
+    }
+    
+    setSearching(true);
+    const timeout = setTimeout(async () => {
+      try {
+        const data = await searchMessages(q, { phone_number_id: phoneNumberId });
+        setSearchResults(data.results);
+      } catch (err) {
+        console.error('Search failed:', err);
+        setSearchResults([]);
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+    
+    return () => clearTimeout(timeout);
+  }, [searchQuery, phoneNumberId]);
+
+  async function restoreSession() {
+    if (!getAuthToken()) {
+      setAuthChecked(true);
+      return;
+    }
+    
+    try {
+      setUser(await getCurrentUser());
+    } catch (err) {
+      console.error('Failed to restore session:', err);
+      logout();
+    } finally {
+      setAuthChecked(true);
+    }
+  }
+
+  function handleLogout() {
+    logout();
+    setSocket(prev => {
+      prev?.disconnect();
+      return null;
+    });
+    setUser(null);
+    setActive(null);
+    setConversations([]);
+  }
+
   const handleResize = () => {
     const mobile = window.innerWidth < 768;
     setIsMobile(mobile);
@@ -42,11 +142,15 @@ export default function App() {
     const handleNewMessage = (msg) => {
       console.log('New message received:', msg);
       
+      // Messages for another business number don't concern the current view
+      if (phoneNumberId && msg.phone_number_id && msg.phone_number_id !== phoneNumberId) return;
+      
       // Update conversations list
       loadConversations();
       
       // Show notification for new messages (if not in active chat)
-      if (msg.wa_id !== active && msg.from !== 'me') {
+      const inActiveChat = msg.wa_id === active && (msg.phone_number_id || null) === activeNumberId;
+      if (!inActiveChat && msg.from !== 'me') {
         showNotification(msg);
       }
     };
@@ -56,6 +160,15 @@ export default function App() {
       loadConversations();
     };
 
+    const handleMessageDeleted = (data) => {
+      console.log('Message deleted:', data);
+      loadConversations();
+    };
+
+    const handleConversationRead = () => {
+      loadConversations();
+    };
+
     const handleConnect = () => {
       console.log('✅ Socket connected');
       setConnectionStatus('connected');
@@ -96,6 +209,8 @@ export default function App() {
     socket.on('connect_error', handleConnectError);
     socket.on('message:new', handleNewMessage);
     socket.on('message:status_update', handleStatusUpdate);
+    socket.on('message:deleted', handleMessageDeleted);
+    socket.on('conversation:read', handleConversationRead);
     socket.on('user:online', handleUserOnline);
     socket.on('user:offline', handleUserOffline);
 
@@ -106,10 +221,12 @@ export default function App() {
       socket.off('connect_error', handleConnectError);
       socket.off('message:new', handleNewMessage);
       socket.off('message:status_update', handleStatusUpdate);
+      socket.off('message:deleted', handleMessageDeleted);
+      socket.off('conversation:read', handleConversationRead);
       socket.off('user:online', handleUserOnline);
       socket.off('user:offline', handleUserOffline);
     };
-  }, [socket, active]);
+  }, [socket, active, activeNumberId, phoneNumberId, loadConversations]);
 
   const showNotification = (message) => {
     if (Notification.permission === 'granted') {
@@ -137,6 +254,7 @@ export default function App() {
       // Initialize socket connection
       const socketUrl = import.meta.env.VITE_SOCKET_URL || "http://localhost:4000";
       const socketInstance = io(socketUrl, {
+        auth: { token: getAuthToken() },
         transports: ['websocket', 'polling'],
         timeout: 20000,
         forceNew: true,
@@ -148,8 +266,8 @@ export default function App() {
 
       setSocket(socketInstance);
 
-      // Load initial conversations
-      await loadConversations();
+      // Load business numbers; conversations load once the user is set
+      await loadPhoneNumbers();
     } catch (err) {
       console.error('Failed to initialize app:', err);
       setError('Failed to connect to server. Please try refreshing the page.');
@@ -158,19 +276,24 @@ export default function App() {
     }
   }
 
-  async function loadConversations() {
+  async function loadPhoneNumbers() {
     try {
-      const data = await getConversations();
-      console.log('Conversations loaded:', data);
-      setConversations(Array.isArray(data) ? data : []);
+      const data = await getPhoneNumbers();
+      const numbers = Array.isArray(data) ? data : [];
+      setPhoneNumbers(numbers);
+      
+      // Show all numbers (including messages stored without one) unless a
+      // known number was picked
+      if (phoneNumberId && !numbers.some(n => n.phone_number_id === phoneNumberId)) {
+        setPhoneNumberId(null);
+      }
     } catch (err) {
-      console.error('Failed to load conversations:', err);
-      // Don't show error for empty conversations, just log it
-      setConversations([]);
+      console.error('Failed to load phone numbers:', err);
+      setPhoneNumbers([]);
     }
   }
 
-  function handleSelectChat(wa_id) {
+  function handleSelectChat(wa_id, phone_number_id = null) {
     // Leave previous chat room
     if (active && socket) {
       socket.emit('leave_chat', active);
@@ -178,6 +301,8 @@ export default function App() {
     
     // Set new active chat
     setActive(wa_id);
+    setActiveNumberId(phone_number_id);
+    setFocusMessageId(null);
     
     // Join new chat room
     if (socket) {
@@ -190,6 +315,30 @@ export default function App() {
     }
   }
 
+  // Open a message (from starred messages or search) in its chat
+  function handleOpenMessage(msg) {
+    if (msg.wa_id !== active || (msg.phone_number_id || null) !== activeNumberId) {
+      handleSelectChat(msg.wa_id, msg.phone_number_id || null);
+    } else if (isMobile) {
+      setShowChatList(false);
+    }
+    setFocusMessageId(msg._id);
+    setShowStarred(false);
+  }
+
+  function toggleSearch() {
+    setShowSearch(open => !open);
+    setSearchQuery("");
+  }
+
+  function handlePhoneNumberChange(id) {
+    if (active && socket) {
+      socket.emit('leave_chat', active);
+    }
+    setActive(null);
+    setPhoneNumberId(id);
+  }
+
   function handleBackToList() {
     if (active && socket) {
       socket.emit('leave_chat', active);
@@ -214,6 +363,18 @@ export default function App() {
     };
   }, []);
 
+  if (!authChecked) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-100">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Login onLogin={setUser} />;
+  }
+
   if (loading) {
     return (
       <div className="h-screen flex items-center justify-center bg-gray-100">
@@ -242,10 +403,26 @@ export default function App() {
     );
   }
 
+  // Chats whose name or number match the search box
+  const searchTerm = showSearch ? searchQuery.trim().toLowerCase() : "";
+  const matchingChats = searchTerm
+    ? conversations.filter(c => 
+        (c.name || "").toLowerCase().includes(searchTerm) || 
+        (c.number || c.wa_id).includes(searchTerm)
+      )
+    : conversations;
+
   return (
     <div className="h-screen flex flex-col bg-gray-100 overflow-hidden">
       {/* Header */}
-      <Header connectionStatus={connectionStatus} />
+      <Header 
+        connectionStatus={connectionStatus} 
+        user={user} 
+        onLogout={handleLogout}
+        phoneNumbers={phoneNumbers}
+        phoneNumberId={phoneNumberId}
+        onPhoneNumberChange={handlePhoneNumberChange}
+      />
       
       {/* Connection Status Indicator */}
       {connectionStatus !== 'connected' && (
@@ -264,7 +441,7 @@ export default function App() {
             ? `absolute inset-0 z-10 transform transition-transform duration-300 ${
                 showChatList ? 'translate-x-0' : '-translate-x-full'
               }`
-            : 'w-80 border-r'
+            : 'w-80 border-r relative'
         } bg-white flex-shrink-0 flex flex-col`}>
           
           {/* Chat List Header */}
@@ -280,7 +457,10 @@ export default function App() {
               {/* Search and New Chat buttons */}
               <div className="flex items-center space-x-2">
                 <button 
-                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded-full transition-colors"
+                  onClick={toggleSearch}
+                  className={`p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded-full transition-colors ${
+                    showSearch ? 'bg-gray-200' : ''
+                  }`}
                   title="Search"
                 >
                   🔍
@@ -291,19 +471,86 @@ export default function App() {
                 >
                   💬
                 </button>
-                <button 
-                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded-full transition-colors"
-                  title="Menu"
-                >
-                  ⋮
-                </button>
+                <div className="relative">
+                  <button 
+                    onClick={() => setShowMenu(open => !open)}
+                    className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded-full transition-colors"
+                    title="Menu"
+                  >
+                    ⋮
+                  </button>
+                  
+                  {showMenu && (
+                    <div className="absolute right-0 mt-1 w-48 bg-white rounded-lg shadow-lg border z-30 py-1">
+                      <button
+                        onClick={() => {
+                          setShowMenu(false);
+                          setShowStarred(true);
+                        }}
+                        className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        ⭐ Starred messages
+                      </button>
+                    </div>
+                  )}
+                </div>
               </div>
             </div>
           </div>
           
+          {/* Starred messages panel */}
+          {showStarred && (
+            <StarredMessages
+              conversations={conversations}
+              activeChat={active}
+              phoneNumberId={phoneNumberId}
+              onSelect={handleOpenMessage}
+              onClose={() => setShowStarred(false)}
+            />
+          )}
+          
+          {/* Search box */}
+          {showSearch && (
+            <div className="px-3 py-2 border-b flex-shrink-0">
+              <input
+                type="text"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && toggleSearch()}
+                placeholder="Search chats and messages"
+                className="w-full py-2 px-4 rounded-full bg-gray-100 text-sm focus:outline-none focus:ring-1 focus:ring-green-500"
+                autoFocus
+              />
+            </div>
+          )}
+          
           {/* Chat List Content */}
           <div className="flex-1 overflow-hidden">
-            {conversations.length === 0 ? (
+            {searchTerm ? (
+              <div className="h-full overflow-y-auto">
+                <div className="px-4 py-2 bg-gray-50 text-xs font-semibold text-green-700 uppercase tracking-wide">
+                  Chats
+                </div>
+                {matchingChats.length > 0 ? (
+                  <ChatList
+                    conversations={matchingChats}
+                    onSelect={handleSelectChat}
+                    active={active}
+                    activeNumberId={activeNumberId}
+                  />
+                ) : (
+                  <div className="p-4 text-sm text-center text-gray-500">No chats found</div>
+                )}
+                
+                {searchTerm.length >= 2 && (
+                  <SearchResults
+                    results={searchResults}
+                    loading={searching}
+                    onSelect={handleOpenMessage}
+                  />
+                )}
+              </div>
+            ) : conversations.length === 0 ? (
               <div className="p-8 text-center text-gray-500 h-full flex items-center justify-center">
                 <div>
                   <div className="text-4xl mb-4">💬</div>
@@ -321,6 +568,7 @@ export default function App() {
                 conversations={conversations}
                 onSelect={handleSelectChat}
                 active={active}
+                activeNumberId={activeNumberId}
               />
             )}
           </div>
@@ -337,6 +585,11 @@ export default function App() {
               onBack={handleBackToList}
               conversations={conversations}
               isMobile={isMobile}
+              currentUser={user}
+              phoneNumberId={activeNumberId}
+              focusMessageId={focusMessageId}
+              onFocusHandled={() => setFocusMessageId(null)}
+              onOpenChat={(wa_id) => handleSelectChat(wa_id, activeNumberId)}
             />
           ) : (
             <div className="flex-1 flex items-center justify-center bg-gray-50 p-8">
@@ -2,6 +2,7 @@
 import axios from "axios";
 
 const API_BASE = import.meta.env.VITE_API_BASE || "http://localhost:4000/api";
+const MEDIA_BASE = import.meta.env.VITE_SOCKET_URL || new URL(API_BASE).origin;
 
 // Create a reusable axios instance with better configuration
 export const api = axios.create({
@@ -12,9 +13,27 @@ export const api = axios.create({
   },
 });
 
-// Add request interceptor for logging (development only)
+const TOKEN_KEY = "wa_clone_token";
+
+// Session token helpers (persisted across reloads)
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Add request interceptor for auth and logging (development only)
 api.interceptors.request.use(
   (config) => {
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    
     if (import.meta.env.DEV) {
       console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`, config.data);
     }
@@ -36,14 +55,69 @@ api.interceptors.response.use(
   },
   (error) => {
     console.error('API Response Error:', error.response?.data || error.message);
+    
+    // Session expired or revoked - let the app return to the login screen
+    if (error.response?.status === 401 && getAuthToken()) {
+      setAuthToken(null);
+      window.dispatchEvent(new Event('auth:logout'));
+    }
     return Promise.reject(error);
   }
 );
 
+// Auth helper functions
+export const login = async ({ username, password }) => {
+  try {
+    const res = await api.post("/auth/login", { username, password });
+    setAuthToken(res.data.token);
+    return res.data.user;
+  } catch (error) {
+    console.error('Failed to log in:', error);
+    throw error;
+  }
+};
+
+export const register = async ({ username, password, display_name }) => {
+  try {
+    const res = await api.post("/auth/register", { username, password, display_name });
+    setAuthToken(res.data.token);
+    return res.data.user;
+  } catch (error) {
+    console.error('Failed to register:', error);
+    throw error;
+  }
+};
+
+export const getCurrentUser = async () => {
+  try {
+    const res = await api.get("/auth/me");
+    return res.data.user;
+  } catch (error) {
+    console.error('Failed to fetch current user:', error);
+    throw error;
+  }
+};
+
+export const logout = () => {
+  setAuthToken(null);
+};
+
 // API helper functions
-export const getConversations = async () => {
+export const getPhoneNumbers = async () => {
   try {
-    const res = await api.get("/conversations");
+    const res = await api.get("/phone-numbers");
+    return res.data;
+  } catch (error) {
+    console.error('Failed to fetch phone numbers:', error);
+    throw error;
+  }
+};
+
+export const getConversations = async ({ phone_number_id } = {}) => {
+  try {
+    const res = await api.get("/conversations", {
+      params: { phone_number_id }
+    });
     return res.data;
   } catch (error) {
     console.error('Failed to fetch conversations:', error);
@@ -51,11 +125,17 @@ export const getConversations = async () => {
   }
 };
 
+// Pagination cursor for a loaded message, for getMessages' before/after
+export const messageCursor = (message) =>
+  `${new Date(message.timestamp).getTime()}_${message._id}`;
+
+// One page of a chat, oldest first: the newest messages by default, or
+// relative to a `before`/`after` cursor or `around` a message id
 export const getMessages = async (wa_id, options = {}) => {
   try {
-    const { page = 1, limit = 50 } = options;
+    const { limit = 50, phone_number_id, before, after, around } = options;
     const res = await api.get(`/messages/${encodeURIComponent(wa_id)}`, {
-      params: { page, limit }
+      params: { limit, phone_number_id, before, after, around }
     });
     return res.data;
   } catch (error) {
@@ -64,13 +144,53 @@ export const getMessages = async (wa_id, options = {}) => {
   }
 };
 
-// Fixed: Changed endpoint from /send to /messages to match backend
-export const sendMessage = async ({ wa_id, name, number, content }) => {
+// Search one conversation; hits are newest first, load them with `around`
+export const searchConversation = async (wa_id, q, { phone_number_id } = {}) => {
+  try {
+    const res = await api.get(`/messages/${encodeURIComponent(wa_id)}/search`, {
+      params: { q, phone_number_id }
+    });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to search conversation:', error);
+    throw error;
+  }
+};
+
+// Media URLs stored by the backend are relative to its origin
+export const resolveMediaUrl = (url) => {
+  if (!url) return null;
+  return url.startsWith("/") ? `${MEDIA_BASE}${url}` : url;
+};
+
+// Upload a file; resolves to the media fields to send with sendMessage
+export const uploadMedia = async (file, onProgress) => {
+  try {
+    const formData = new FormData();
+    formData.append("file", file);
+    
+    const res = await api.post("/media", formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+    return res.data.media;
+  } catch (error) {
+    console.error('Failed to upload media:', error);
+    throw error;
+  }
+};
+
+// Fixed: Changed endpoint from /send to /messages to match backend.
+// Media messages also pass the fields returned by uploadMedia.
+export const sendMessage = async ({ content = "", ...message }) => {
   try {
     const res = await api.post("/messages", { 
-      wa_id, 
-      name, 
-      number, 
+      ...message,
       content: content.trim() 
     });
     return res.data;
@@ -80,10 +200,13 @@ export const sendMessage = async ({ wa_id, name, number, content }) => {
   }
 };
 
-// Mark messages as read
-export const markMessagesAsRead = async (wa_id) => {
+// Mark a chat read up to `message_id` (the newest message on screen), or
+// up to its newest message when omitted
+export const markMessagesAsRead = async (wa_id, phone_number_id, message_id) => {
   try {
-    const res = await api.patch(`/messages/${encodeURIComponent(wa_id)}/read`);
+    const res = await api.patch(`/messages/${encodeURIComponent(wa_id)}/read`, { message_id }, {
+      params: { phone_number_id }
+    });
     return res.data;
   } catch (error) {
     console.error('Failed to mark messages as read:', error);
@@ -102,10 +225,12 @@ export const getConversationInfo = async (wa_id) => {
   }
 };
 
-// Delete a message
-export const deleteMessage = async (messageId) => {
+// Delete a message - scope "me" hides it for this agent, "everyone" leaves a tombstone
+export const deleteMessage = async (messageId, scope = "me") => {
   try {
-    const res = await api.delete(`/messages/${messageId}`);
+    const res = await api.delete(`/messages/${messageId}`, {
+      params: { scope }
+    });
     return res.data;
   } catch (error) {
     console.error('Failed to delete message:', error);
@@ -113,13 +238,89 @@ export const deleteMessage = async (messageId) => {
   }
 };
 
-// Send webhook payload (for testing)
-export const sendWebhookPayload = async (payload) => {
+export const editMessage = async (messageId, content) => {
+  try {
+    const res = await api.patch(`/messages/${messageId}`, { content });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to edit message:', error);
+    throw error;
+  }
+};
+
+export const starMessage = async (messageId, starred) => {
+  try {
+    const res = await api.patch(`/messages/${messageId}/star`, { starred });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to star message:', error);
+    throw error;
+  }
+};
+
+// Forward messages to up to five conversations (`[{ wa_id, phone_number_id }]`)
+export const forwardMessages = async (messageIds, targets) => {
+  try {
+    const res = await api.post("/messages/forward", { message_ids: messageIds, targets });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to forward messages:', error);
+    throw error;
+  }
+};
+
+// React to a message; an empty emoji removes our reaction
+export const reactToMessage = async (messageId, emoji) => {
+  try {
+    const res = await api.patch(`/messages/${messageId}/reaction`, { emoji });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to react to message:', error);
+    throw error;
+  }
+};
+
+export const getStarredMessages = async ({ wa_id, phone_number_id, page = 1, limit = 50 } = {}) => {
+  try {
+    const res = await api.get("/starred", {
+      params: { wa_id, phone_number_id, page, limit }
+    });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to fetch starred messages:', error);
+    throw error;
+  }
+};
+
+export const searchMessages = async (q, { phone_number_id, limit } = {}) => {
+  try {
+    const res = await api.get("/search", {
+      params: { q, phone_number_id, limit }
+    });
+    return res.data;
+  } catch (error) {
+    console.error('Failed to search messages:', error);
+    throw error;
+  }
+};
+
+// Queue a failed message to be sent again
+export const retryMessage = async (messageId) => {
+  try {
+    const res = await api.post(`/messages/${messageId}/retry`);
+    return res.data;
+  } catch (error) {
+    console.error('Failed to retry message:', error);
+    throw error;
+  }
+};
+
+export const getTemplates = async ({ language } = {}) => {
   try {
-    const res = await api.post("/webhook", payload);
+    const res = await api.get("/templates", { params: { language } });
     return res.data;
   } catch (error) {
-    console.error('Failed to send webhook payload:', error);
+    console.error('Failed to fetch templates:', error);
     throw error;
   }
 };
\ No newline at end of file
@@ -31,7 +31,7 @@ function formatTime(timestamp) {
 function getMessagePreview(message, contentType, from) {
   if (!message) return "No messages yet";
   
-  if (contentType && contentType !== 'text') {
+  if (contentType && !['text', 'template', 'interactive'].includes(contentType)) {
     const mediaIcons = {
       'image': '📷 Photo',
       'video': '🎥 Video',
@@ -48,17 +48,17 @@ function getMessagePreview(message, contentType, from) {
   return `${prefix}${message}`;
 }
 
-export default function ChatList({ conversations, onSelect, active }) {
+export default function ChatList({ conversations, onSelect, active, activeNumberId }) {
   return (
     <div className="overflow-y-auto">
       {conversations.map(chat => {
-        const isActive = active === chat.wa_id;
+        const isActive = active === chat.wa_id && activeNumberId === (chat.phone_number_id || null);
         const hasUnread = chat.unreadCount > 0;
         
         return (
           <div
-            key={chat.wa_id}
-            onClick={() => onSelect(chat.wa_id)}
+            key={`${chat.wa_id}-${chat.phone_number_id}`}
+            onClick={() => onSelect(chat.wa_id, chat.phone_number_id || null)}
             className={`p-3 cursor-pointer flex items-center hover:bg-gray-100 transition-colors border-b border-gray-100 ${
               isActive ? "bg-green-100" : ""
             }`}
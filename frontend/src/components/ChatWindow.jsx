@@ -1,15 +1,44 @@
-import React, { useEffect, useState, useRef, useCallback } from "react";
-import { getMessages, sendMessage, markMessagesAsRead } from "../api";
-
-// Helper function to format timestamp
-function formatMessageTime(timestamp) {
-  if (!timestamp) return "";
-  const date = new Date(timestamp);
-  return date.toLocaleTimeString('en-US', {
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false
-  });
+import React, { useEffect, useLayoutEffect, useState, useRef, useCallback } from "react";
+import { getMessages, messageCursor, searchConversation, sendMessage, markMessagesAsRead, uploadMedia, resolveMediaUrl, deleteMessage, editMessage, starMessage, reactToMessage, forwardMessages, retryMessage } from "../api";
+import MessageBubble from "./MessageBubble";
+import MessageInfo from "./MessageInfo";
+import TemplatePicker from "./TemplatePicker";
+import ForwardDialog from "./ForwardDialog";
+import InteractiveComposer from "./InteractiveComposer";
+import LocationComposer from "./LocationComposer";
+import ContactComposer from "./ContactComposer";
+
+const PAGE_SIZE = 50;
+
+// How close to the top/bottom of the history scrolling loads the next page
+const LOAD_MORE_THRESHOLD_PX = 150;
+
+// File types the backend accepts for upload (services/media.js)
+const UPLOAD_TYPES = [
+  "image/jpeg", "image/png", "image/webp",
+  "audio/aac", "audio/amr", "audio/mpeg", "audio/mp4", "audio/ogg",
+  "video/mp4", "video/3gpp",
+  "application/pdf", "text/plain", "application/msword", "application/vnd.ms-excel", "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+].join(",");
+
+// Whether message `a` comes after `b` in chat order
+function isAfter(a, b) {
+  const diff = new Date(a.timestamp) - new Date(b.timestamp);
+  return diff > 0 || (diff === 0 && a._id > b._id);
+}
+
+// How often the customer service window countdown is refreshed
+const WINDOW_TICK_MS = 30 * 1000;
+
+// Time left in the customer service window, e.g. "5h 12m"
+function formatRemaining(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return "less than a minute";
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
 }
 
 // Helper function to group messages by date
@@ -44,32 +73,101 @@ function formatDateHeader(dateString) {
   });
 }
 
-export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
+export default function ChatWindow({ wa_id, socket, onBack, conversations, currentUser, phoneNumberId, focusMessageId, onFocusHandled, onOpenChat }) {
   const [messages, setMessages] = useState([]);
   const [text, setText] = useState("");
   const [loading, setLoading] = useState(false);
   const [sending, setSending] = useState(false);
   const [isTyping, setIsTyping] = useState(false);
   const [typingUser, setTypingUser] = useState("");
+  const [attachment, setAttachment] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [infoMessageId, setInfoMessageId] = useState(null);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [showAttachMenu, setShowAttachMenu] = useState(false);
+  const [showInteractive, setShowInteractive] = useState(false);
+  const [showLocation, setShowLocation] = useState(false);
+  const [showContact, setShowContact] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [forwardIds, setForwardIds] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [loadedChat, setLoadedChat] = useState(null);
+  const [pendingScrollId, setPendingScrollId] = useState(null);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [hasNewer, setHasNewer] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [loadingNewer, setLoadingNewer] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchHits, setSearchHits] = useState([]);
+  const [searchIndex, setSearchIndex] = useState(-1);
+  const [searching, setSearching] = useState(false);
   const bottomRef = useRef();
+  const scrollRef = useRef();
+  const scrollAnchorRef = useRef(null);
+  const readCandidateRef = useRef(null);
+  const lastReadRef = useRef(null);
+  const readTimeoutRef = useRef();
   const inputRef = useRef();
+  const fileInputRef = useRef();
   const typingTimeoutRef = useRef();
+  // Read when a loaded chat decides whether to scroll to the bottom, without
+  // reloading the chat whenever a message is focused
+  const focusMessageIdRef = useRef(focusMessageId);
 
-  // Get current conversation info
-  const currentChat = conversations.find(c => c.wa_id === wa_id);
+  // Get current conversation info. `phoneNumberId` is the business number the
+  // conversation is on, also when all numbers are shown; replies go out from it
+  const currentChat = conversations.find(c => 
+    c.wa_id === wa_id && (c.phone_number_id || null) === (phoneNumberId || null)
+  );
 
-  // Load messages when wa_id changes
+  // Free-form messages can only be sent within 24 hours of the contact's
+  // last message; after that the composer only offers templates
+  const serviceWindow = currentChat?.serviceWindow;
+  const windowEnforced = !!serviceWindow?.enforced;
+  const windowRemaining = serviceWindow?.expires_at ? new Date(serviceWindow.expires_at).getTime() - now : 0;
+  const templateOnly = windowEnforced && windowRemaining <= 0;
+
+  // Keep the window countdown current
+  useEffect(() => {
+    if (!windowEnforced) return;
+    const timer = setInterval(() => setNow(Date.now()), WINDOW_TICK_MS);
+    return () => clearInterval(timer);
+  }, [windowEnforced]);
+
+  const scrollToBottom = useCallback((behavior = "smooth") => {
+    bottomRef.current?.scrollIntoView({ behavior });
+  }, []);
+
+  useEffect(() => {
+    focusMessageIdRef.current = focusMessageId;
+  }, [focusMessageId]);
+
+  // Load messages when another conversation is opened
   useEffect(() => {
     if (!wa_id) return;
+    setReplyingTo(null);
+    setEditingMessage(null);
+    setAttachment(null);
+    setSelectedIds([]);
+    closeSearch();
+    readCandidateRef.current = null;
+    lastReadRef.current = null;
     loadMessages();
-  }, [wa_id]);
+  }, [wa_id, loadMessages]);
 
   // Setup socket listeners
   useEffect(() => {
     if (!socket || !wa_id) return;
 
     const handleNewMessage = (msg) => {
-      if (msg.wa_id === wa_id) {
+      const sameNumber = !phoneNumberId || !msg.phone_number_id || msg.phone_number_id === phoneNumberId;
+      // While older history is shown, new messages load when scrolling down
+      if (msg.wa_id === wa_id && sameNumber && !hasNewer) {
         setMessages((prev) => {
           // Avoid duplicates
           if (prev.find(m => m._id === msg._id)) return prev;
@@ -83,7 +181,12 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
       if (update.wa_id === wa_id) {
         setMessages((prev) => prev.map(msg => 
           (msg._id === update.messageId || msg.msg_id === update.msg_id) 
-            ? { ...msg, status: update.status }
+            ? { 
+                ...msg, 
+                status: update.status, 
+                error_message: update.error_message,
+                ...(update.timestamp && { [`${update.status}_at`]: update.timestamp }) 
+              }
             : msg
         ));
       }
@@ -105,59 +208,490 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
       }
     };
 
+    const handleMessageDeleted = (data) => {
+      if (data.wa_id !== wa_id) return;
+      
+      if (data.scope === "everyone" && data.message) {
+        // Replace with the tombstone, also where replies quote it
+        setMessages((prev) => prev.map(msg => {
+          if (msg._id === data.messageId) return { ...msg, ...data.message };
+          if ((msg.reply_to?._id || msg.reply_to) === data.messageId) {
+            return { ...msg, reply_to: data.message, reply_to_content: undefined };
+          }
+          return msg;
+        }));
+      } else {
+        setMessages((prev) => prev.filter(msg => msg._id !== data.messageId));
+      }
+    };
+
+    const handleMessageEdited = (data) => {
+      if (data.wa_id !== wa_id) return;
+      setMessages((prev) => prev.map(msg => 
+        msg._id === data.messageId 
+          ? { ...msg, content: data.content, edited_at: data.edited_at }
+          : msg
+      ));
+    };
+
+    const handleMessageStarred = (data) => {
+      if (data.wa_id !== wa_id) return;
+      setMessages((prev) => prev.map(msg => 
+        msg._id === data.messageId ? { ...msg, is_starred: data.is_starred } : msg
+      ));
+    };
+
+    const handleMessageReaction = (data) => {
+      if (data.wa_id !== wa_id) return;
+      setMessages((prev) => prev.map(msg => 
+        msg._id === data.messageId ? { ...msg, reactions: data.reactions } : msg
+      ));
+    };
+
     socket.on("message:new", handleNewMessage);
     socket.on("message:status_update", handleStatusUpdate);
+    socket.on("message:deleted", handleMessageDeleted);
+    socket.on("message:edited", handleMessageEdited);
+    socket.on("message:starred", handleMessageStarred);
+    socket.on("message:reaction", handleMessageReaction);
     socket.on("user_typing", handleUserTyping);
 
     return () => {
       socket.off("message:new", handleNewMessage);
       socket.off("message:status_update", handleStatusUpdate);
+      socket.off("message:deleted", handleMessageDeleted);
+      socket.off("message:edited", handleMessageEdited);
+      socket.off("message:starred", handleMessageStarred);
+      socket.off("message:reaction", handleMessageReaction);
       socket.off("user_typing", handleUserTyping);
       clearTimeout(typingTimeoutRef.current);
     };
-  }, [wa_id, socket]);
+  }, [wa_id, socket, phoneNumberId, hasNewer, scrollToBottom]);
 
-  // Mark messages as read when chat is opened
+  // Report the newest contact message seen on screen, once the tab is visible
+  const flushRead = useCallback(() => {
+    const candidate = readCandidateRef.current;
+    if (!candidate || document.visibilityState !== "visible") return;
+    
+    readCandidateRef.current = null;
+    lastReadRef.current = candidate;
+    markMessagesAsRead(wa_id, phoneNumberId, candidate._id).catch(console.error);
+  }, [wa_id, phoneNumberId]);
+
+  // Messages from the contact are read once at least half of them has been on screen
   useEffect(() => {
-    if (!wa_id) return;
-    markMessagesAsRead(wa_id).catch(console.error);
-  }, [wa_id]);
+    const container = scrollRef.current;
+    if (!container || messages.length === 0) return;
+    
+    const messagesById = new Map(messages.map(m => [`msg-${m._id}`, m]));
+    const observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        const msg = messagesById.get(entry.target.id);
+        const newest = readCandidateRef.current || lastReadRef.current;
+        if (entry.isIntersecting && msg && (!newest || isAfter(msg, newest))) {
+          readCandidateRef.current = msg;
+        }
+      }
+      
+      clearTimeout(readTimeoutRef.current);
+      readTimeoutRef.current = setTimeout(flushRead, 500);
+    }, { root: container, threshold: 0.5 });
+    
+    messages
+      .filter(m => m.from === "remote" && !m.is_deleted)
+      .forEach(m => {
+        const element = document.getElementById(`msg-${m._id}`);
+        if (element) observer.observe(element);
+      });
+    
+    return () => {
+      observer.disconnect();
+      clearTimeout(readTimeoutRef.current);
+    };
+  }, [messages, flushRead]);
+
+  // Messages seen while the tab was hidden count once it's back
+  useEffect(() => {
+    document.addEventListener("visibilitychange", flushRead);
+    return () => document.removeEventListener("visibilitychange", flushRead);
+  }, [flushRead]);
 
   const loadMessages = useCallback(async () => {
     if (!wa_id) return;
     
     setLoading(true);
     try {
-      const data = await getMessages(wa_id);
+      const data = await getMessages(wa_id, { phone_number_id: phoneNumberId, limit: PAGE_SIZE });
       console.log('Messages loaded for', wa_id, ':', data);
       setMessages(Array.isArray(data) ? data : []);
-      setTimeout(scrollToBottom, 100);
+      setHasOlder(data.length === PAGE_SIZE);
+      setHasNewer(false);
+      // Jump straight to the bottom; a smooth scroll would pass the top and load older pages
+      if (!focusMessageIdRef.current) setTimeout(() => scrollToBottom("auto"), 100);
     } catch (error) {
       console.error('Failed to load messages:', error);
       setMessages([]);
     } finally {
       setLoading(false);
+      setLoadedChat(wa_id);
     }
-  }, [wa_id]);
+  }, [wa_id, phoneNumberId, scrollToBottom]);
 
-  const scrollToBottom = useCallback(() => {
-    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  // Prepend the page before the oldest loaded message
+  const loadOlder = useCallback(async () => {
+    if (!hasOlder || loadingOlder || messages.length === 0) return;
+    
+    setLoadingOlder(true);
+    try {
+      const data = await getMessages(wa_id, {
+        before: messageCursor(messages[0]),
+        phone_number_id: phoneNumberId,
+        limit: PAGE_SIZE
+      });
+      
+      // Remember where we were so the layout effect below can keep the view still
+      const container = scrollRef.current;
+      scrollAnchorRef.current = { height: container.scrollHeight, top: container.scrollTop };
+      setMessages(prev => [...data.filter(m => !prev.some(p => p._id === m._id)), ...prev]);
+      setHasOlder(data.length === PAGE_SIZE);
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [wa_id, phoneNumberId, messages, hasOlder, loadingOlder]);
+
+  // Append the page after the newest loaded message (after jumping back in history)
+  const loadNewer = useCallback(async () => {
+    if (!hasNewer || loadingNewer || messages.length === 0) return;
+    
+    setLoadingNewer(true);
+    try {
+      const data = await getMessages(wa_id, {
+        after: messageCursor(messages[messages.length - 1]),
+        phone_number_id: phoneNumberId,
+        limit: PAGE_SIZE
+      });
+      setMessages(prev => [...prev, ...data.filter(m => !prev.some(p => p._id === m._id))]);
+      setHasNewer(data.length === PAGE_SIZE);
+    } catch (error) {
+      console.error('Failed to load newer messages:', error);
+    } finally {
+      setLoadingNewer(false);
+    }
+  }, [wa_id, phoneNumberId, messages, hasNewer, loadingNewer]);
+
+  // Keep the same messages in view after prepending older ones
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    if (!anchor) return;
+    
+    const container = scrollRef.current;
+    container.scrollTop = container.scrollHeight - anchor.height + anchor.top;
+    scrollAnchorRef.current = null;
+  }, [messages]);
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    if (scrollTop < LOAD_MORE_THRESHOLD_PX) loadOlder();
+    if (scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD_PX) loadNewer();
+  };
+
+  // Scroll to a loaded message and flash it
+  const scrollToMessage = useCallback((messageId, behavior = "smooth") => {
+    const element = document.getElementById(`msg-${messageId}`);
+    if (!element) return;
+    
+    element.scrollIntoView({ behavior, block: "center" });
+    setHighlightedId(messageId);
+    setTimeout(() => setHighlightedId(null), 2000);
   }, []);
 
+  // Scroll to any message, e.g. a quoted reply or a search hit. Messages that
+  // aren't loaded replace the list with the history around them.
+  const jumpToMessage = useCallback(async (messageId) => {
+    if (document.getElementById(`msg-${messageId}`)) {
+      scrollToMessage(messageId);
+      return;
+    }
+    
+    try {
+      const data = await getMessages(wa_id, { around: messageId, phone_number_id: phoneNumberId, limit: PAGE_SIZE });
+      
+      // The page holds up to half a page before the message and the rest from it on
+      const olderCount = Math.floor(PAGE_SIZE / 2);
+      const position = data.findIndex(m => m._id === messageId);
+      setMessages(data);
+      setHasOlder(position === olderCount);
+      setHasNewer(data.length - position === PAGE_SIZE - olderCount);
+      setPendingScrollId(messageId);
+    } catch (error) {
+      console.error('Failed to load message:', error);
+      alert('That message could not be loaded.');
+    }
+  }, [wa_id, phoneNumberId, scrollToMessage]);
+
+  // Scroll once the history loaded by jumpToMessage has rendered. Jump there
+  // directly, as scrolling through the new page could trigger loadOlder.
+  useEffect(() => {
+    if (!pendingScrollId || !messages.some(m => m._id === pendingScrollId)) return;
+    scrollToMessage(pendingScrollId, "auto");
+    setPendingScrollId(null);
+  }, [pendingScrollId, messages, scrollToMessage]);
+
+  // Jump to a message picked elsewhere (starred messages, search) once the chat has loaded
+  useEffect(() => {
+    if (!focusMessageId || loading || loadedChat !== wa_id) return;
+    jumpToMessage(focusMessageId);
+    onFocusHandled?.();
+  }, [focusMessageId, loading, loadedChat, wa_id, jumpToMessage, onFocusHandled]);
+
+  // Search this chat once typing pauses, starting from the newest hit
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (!wa_id || q.length < 2) {
+      setSearchHits([]);
+      setSearchIndex(-1);
+      return;
+    }
+    
+    setSearching(true);
+    const timeout = setTimeout(async () => {
+      try {
+        const data = await searchConversation(wa_id, q, { phone_number_id: phoneNumberId });
+        setSearchHits(data.hits);
+        setSearchIndex(data.hits.length > 0 ? 0 : -1);
+        if (data.hits.length > 0) jumpToMessage(data.hits[0]._id);
+      } catch (error) {
+        console.error('Failed to search conversation:', error);
+        setSearchHits([]);
+        setSearchIndex(-1);
+      } finally {
+        setSearching(false);
+      }
+    }, 400);
+    
+    return () => clearTimeout(timeout);
+  }, [searchQuery, wa_id, phoneNumberId, jumpToMessage]);
+
+  // Hits are newest first, so "older" moves forward through them
+  const goToSearchHit = (index) => {
+    if (index < 0 || index >= searchHits.length) return;
+    setSearchIndex(index);
+    jumpToMessage(searchHits[index]._id);
+  };
+
+  function closeSearch() {
+    setShowSearch(false);
+    setSearchQuery("");
+  }
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      closeSearch();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      goToSearchHit(searchIndex + (e.shiftKey ? -1 : 1));
+    }
+  };
+
+  const handleDelete = async (scope) => {
+    const target = deleteTarget;
+    setDeleteTarget(null);
+    
+    try {
+      await deleteMessage(target._id, scope);
+      // The socket event updates the list; "me" deletions are applied right away too
+      if (scope === "me") {
+        setMessages(prev => prev.filter(m => m._id !== target._id));
+      }
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      alert(error.response?.data?.message || 'Failed to delete message. Please try again.');
+    }
+  };
+
+  const handleToggleStar = async (msg) => {
+    try {
+      const response = await starMessage(msg._id, !msg.is_starred);
+      setMessages(prev => prev.map(m => 
+        m._id === msg._id ? { ...m, is_starred: response.message.is_starred } : m
+      ));
+    } catch (error) {
+      console.error('Failed to star message:', error);
+      alert(error.response?.data?.message || 'Failed to star message. Please try again.');
+    }
+  };
+
+  const handleReact = async (msg, emoji) => {
+    try {
+      const response = await reactToMessage(msg._id, emoji);
+      setMessages(prev => prev.map(m => 
+        m._id === msg._id ? { ...m, reactions: response.message.reactions } : m
+      ));
+    } catch (error) {
+      console.error('Failed to react to message:', error);
+      alert(error.response?.data?.message || 'Failed to react to message. Please try again.');
+    }
+  };
+
+  // Clicking a bubble while messages are selected adds or removes it
+  const toggleSelected = (msg) => {
+    setSelectedIds(prev => prev.includes(msg._id) 
+      ? prev.filter(id => id !== msg._id) 
+      : [...prev, msg._id]
+    );
+  };
+
+  // Copies arrive in other chats (and this one) through the socket
+  const handleForward = async (targets) => {
+    // Forward in chat order, whatever order they were picked in
+    const ids = messages.filter(m => forwardIds.includes(m._id)).map(m => m._id);
+    const response = await forwardMessages(ids, targets);
+    setSelectedIds([]);
+    
+    if (response.skipped?.length) {
+      const names = response.skipped.map(({ wa_id }) => conversations.find(c => c.wa_id === wa_id)?.name || wa_id);
+      alert(`Not forwarded to ${names.join(", ")}: the customer service window has closed. Only templates can be sent there.`);
+    }
+  };
+
+  const handleRetry = async (msg) => {
+    try {
+      const response = await retryMessage(msg._id);
+      setMessages(prev => prev.map(m => 
+        m._id === msg._id 
+          ? { ...m, status: response.message.status, error_message: undefined }
+          : m
+      ));
+    } catch (error) {
+      console.error('Failed to retry message:', error);
+      alert(error.response?.data?.message || 'Failed to retry message. Please try again.');
+    }
+  };
+
+  const handleReply = (msg) => {
+    setEditingMessage(null);
+    setReplyingTo(msg);
+    inputRef.current?.focus();
+  };
+
+  // Load the message into the composer; sending saves the edit instead
+  const handleStartEdit = (msg) => {
+    setReplyingTo(null);
+    setAttachment(null);
+    setEditingMessage(msg);
+    setText(msg.content);
+    inputRef.current?.focus();
+  };
+
+  const cancelEdit = () => {
+    setEditingMessage(null);
+    setText("");
+  };
+
+  const handleSaveEdit = async () => {
+    const target = editingMessage;
+    const newText = text.trim();
+    setEditingMessage(null);
+    setText("");
+    if (newText === target.content) return;
+
+    setSending(true);
+    try {
+      const response = await editMessage(target._id, newText);
+      setMessages(prev => prev.map(m => 
+        m._id === target._id 
+          ? { ...m, content: response.message.content, edited_at: response.message.edited_at }
+          : m
+      ));
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+      setEditingMessage(target);
+      setText(newText);
+      alert(error.response?.data?.message || 'Failed to edit message. Please try again.');
+    } finally {
+      setSending(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+
+    setUploadProgress(0);
+    try {
+      const media = await uploadMedia(file, setUploadProgress);
+      setAttachment(media);
+      inputRef.current?.focus();
+    } catch (error) {
+      console.error('Failed to upload file:', error);
+      alert(error.response?.data?.message || 'Failed to upload file. Please try again.');
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  // Show a message we just sent
+  const addSentMessage = (sentMessage) => {
+    // Sending from older history: go back to the latest messages
+    if (hasNewer) {
+      loadMessages();
+      return;
+    }
+
+    // The socket event may arrive first; only add the stored message once
+    setMessages(prev => 
+      prev.some(m => m._id === sentMessage._id) ? prev : [...prev, sentMessage]
+    );
+    scrollToBottom();
+  };
+
+  // Send a template or interactive message composed in a dialog. Errors are
+  // shown by the dialog
+  const sendStructured = async (fields) => {
+    const response = await sendMessage({
+      wa_id,
+      name: currentChat?.name || "You",
+      number: currentChat?.number || "unknown",
+      phone_number_id: phoneNumberId,
+      reply_to: replyingTo?._id,
+      ...fields,
+    });
+    setReplyingTo(null);
+    addSentMessage(response.message);
+  };
+
+  const handleSendTemplate = (template, variables) => 
+    sendStructured({ content_type: "template", template_id: template._id, variables });
+
+  const handleSendInteractive = (interactive) => 
+    sendStructured({ content_type: "interactive", interactive });
+
+  const handleSendLocation = (location) => 
+    sendStructured({ content_type: "location", location });
+
+  const handleSendContact = (contact) => 
+    sendStructured({ content_type: "contact", contacts: [contact] });
+
   const handleSend = async (e) => {
     e.preventDefault();
-    if (!text.trim() || sending) return;
+    if ((!text.trim() && !attachment) || sending) return;
+    if (editingMessage) return handleSaveEdit();
 
     const messageText = text.trim();
+    const messageMedia = attachment;
+    const quoted = replyingTo;
     setText("");
+    setAttachment(null);
+    setReplyingTo(null);
     setSending(true);
 
     // Stop typing indicator
     if (socket) {
-      socket.emit("typing_stop", { 
-        wa_id, 
-        userName: "You" 
-      });
+      socket.emit("typing_stop", { wa_id });
     }
 
     try {
@@ -166,25 +700,18 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
         name: currentChat?.name || "You",
         number: currentChat?.number || "unknown",
         content: messageText,
+        phone_number_id: phoneNumberId,
+        reply_to: quoted?._id,
+        ...messageMedia,
       });
-
-      // Message will be added via socket event, but add optimistically for better UX
-      const optimisticMessage = {
-        _id: `temp_${Date.now()}`,
-        wa_id,
-        from: "me",
-        content: messageText,
-        timestamp: new Date().toISOString(),
-        status: "pending"
-      };
-      
-      setMessages(prev => [...prev, optimisticMessage]);
-      scrollToBottom();
+      addSentMessage(response.message);
 
     } catch (error) {
       console.error('Failed to send message:', error);
-      setText(messageText); // Restore text on error
-      alert('Failed to send message. Please try again.');
+      setText(messageText); // Restore text and attachment on error
+      setAttachment(messageMedia);
+      setReplyingTo(quoted);
+      alert(error.response?.data?.message || 'Failed to send message. Please try again.');
     } finally {
       setSending(false);
       inputRef.current?.focus();
@@ -196,33 +723,42 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
     
     // Emit typing indicator
     if (socket && e.target.value.trim()) {
-      socket.emit("typing_start", { 
-        wa_id, 
-        userName: "You" 
-      });
+      socket.emit("typing_start", { wa_id });
       
       // Clear existing timeout
       clearTimeout(typingTimeoutRef.current);
       
       // Stop typing after 1 second of no input
       typingTimeoutRef.current = setTimeout(() => {
-        socket.emit("typing_stop", { 
-          wa_id, 
-          userName: "You" 
-        });
+        socket.emit("typing_stop", { wa_id });
       }, 1000);
     }
   };
 
   const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && editingMessage) {
+      cancelEdit();
+      return;
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSend(e);
     }
   };
 
+  // Entries of the composer's 📎 menu
+  const attachOptions = [
+    { label: "📄 Photo, video or file", onClick: () => fileInputRef.current?.click() },
+    { label: "📍 Location", onClick: () => setShowLocation(true) },
+    { label: "👤 Contact", onClick: () => setShowContact(true) },
+    { label: "🔘 Buttons or list", onClick: () => setShowInteractive(true) }
+  ];
+
   // Group messages by date
   const groupedMessages = groupMessagesByDate(messages);
+  const infoMessage = infoMessageId && messages.find(m => m._id === infoMessageId);
+  const hitHighlights = new Map(searchHits.map(hit => [hit._id, hit.highlights]));
+  const currentHitId = searchHits[searchIndex]?._id;
 
   return (
     <div className="h-full flex flex-col bg-gray-50">
@@ -254,14 +790,75 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
         </div>
         
         <div className="flex items-center space-x-2">
+          <button
+            onClick={() => (showSearch ? closeSearch() : setShowSearch(true))}
+            className={`hover:bg-green-700 p-2 rounded ${showSearch ? 'bg-green-700' : ''}`}
+            title="Search in chat"
+          >
+            🔍
+          </button>
           <button className="hover:bg-green-700 p-2 rounded">📞</button>
           <button className="hover:bg-green-700 p-2 rounded">📹</button>
           <button className="hover:bg-green-700 p-2 rounded">⋮</button>
         </div>
       </div>
 
+      {/* In-chat search */}
+      {showSearch && (
+        <div className="bg-white px-4 py-2 border-b flex items-center space-x-2">
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Search in chat"
+            className="flex-1 py-1.5 px-3 rounded-full bg-gray-100 text-sm focus:outline-none focus:ring-1 focus:ring-green-500"
+            autoFocus
+          />
+          <span className="text-xs text-gray-500 whitespace-nowrap">
+            {searching
+              ? 'Searching...'
+              : searchQuery.trim().length >= 2 && (searchHits.length > 0 ? `${searchIndex + 1} of ${searchHits.length}` : 'No results')}
+          </span>
+          <button
+            onClick={() => goToSearchHit(searchIndex + 1)}
+            disabled={searchIndex + 1 >= searchHits.length}
+            className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+            title="Older match"
+          >
+            ▲
+          </button>
+          <button
+            onClick={() => goToSearchHit(searchIndex - 1)}
+            disabled={searchIndex <= 0}
+            className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+            title="Newer match"
+          >
+            ▼
+          </button>
+          <button
+            onClick={closeSearch}
+            className="p-1 text-gray-500 hover:text-gray-700"
+            title="Close search"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
       {/* Messages Area */}
-      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+      <div
+        ref={scrollRef}
+        onScroll={handleScroll}
+        className="flex-1 overflow-y-auto p-4 space-y-4 relative"
+      >
+        {/* Loading older messages; positioned so it doesn't shift the list */}
+        {loadingOlder && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+          </div>
+        )}
+        
         {loading ? (
           <div className="flex items-center justify-center h-full">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
@@ -278,52 +875,29 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
                 </div>
                 
                 {/* Messages for this date */}
-                {dateMessages.map((msg, index) => {
-                  const isMine = msg.from === "me";
-                  const isLast = index === dateMessages.length - 1;
-                  
-                  return (
-                    <div
-                      key={msg._id || index}
-                      className={`flex mb-2 ${isMine ? "justify-end" : "justify-start"}`}
-                    >
-                      <div
-                        className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg relative ${
-                          isMine
-                            ? "bg-green-500 text-white rounded-br-sm"
-                            : "bg-white text-gray-800 rounded-bl-sm shadow-sm"
-                        }`}
-                        style={{
-                          wordWrap: 'break-word',
-                          overflowWrap: 'break-word'
-                        }}
-                      >
-                        {/* Message Content */}
-                        <div className="mb-1">
-                          {msg.content}
-                        </div>
-                        
-                        {/* Time and Status */}
-                        <div className={`flex items-center justify-end space-x-1 text-xs ${
-                          isMine ? "text-green-100" : "text-gray-500"
-                        }`}>
-                          <span>{formatMessageTime(msg.timestamp)}</span>
-                          
-                          {/* Status indicators for sent messages */}
-                          {isMine && (
-                            <span className="ml-1">
-                              {msg.status === 'pending' && "⏳"}
-                              {msg.status === 'sent' && "✓"}
-                              {msg.status === 'delivered' && "✓✓"}
-                              {msg.status === 'read' && <span className="text-blue-200">✓✓</span>}
-                              {msg.status === 'failed' && <span className="text-red-300">⚠️</span>}
-                            </span>
-                          )}
-                        </div>
-                      </div>
-                    </div>
-                  );
-                })}
+                {dateMessages.map((msg, index) => (
+                  <MessageBubble
+                    key={msg._id || index}
+                    message={msg}
+                    currentUser={currentUser}
+                    contactName={currentChat?.name || wa_id}
+                    onReply={handleReply}
+                    onEdit={handleStartEdit}
+                    onToggleStar={handleToggleStar}
+                    onReact={handleReact}
+                    onForward={(msg) => setForwardIds([msg._id])}
+                    onSelect={toggleSelected}
+                    selecting={selectedIds.length > 0}
+                    selected={selectedIds.includes(msg._id)}
+                    onDelete={setDeleteTarget}
+                    onInfo={(msg) => setInfoMessageId(msg._id)}
+                    onRetry={handleRetry}
+                    onQuoteClick={jumpToMessage}
+                    onMessageContact={onOpenChat}
+                    highlighted={highlightedId === msg._id || currentHitId === msg._id}
+                    highlights={hitHighlights.get(msg._id)}
+                  />
+                ))}
               </div>
             ))}
             
@@ -341,7 +915,24 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
               </div>
             )}
             
+            {loadingNewer && (
+              <div className="flex justify-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+              </div>
+            )}
+            
             <div ref={bottomRef} />
+            
+            {/* Back from older history */}
+            {hasNewer && (
+              <button
+                onClick={loadMessages}
+                className="sticky bottom-0 float-right bg-white shadow-md rounded-full w-10 h-10 text-gray-600 hover:bg-gray-100"
+                title="Jump to latest messages"
+              >
+                ↓
+              </button>
+            )}
           </>
         )}
       </div>
@@ -363,57 +954,282 @@ export default function ChatWindow({ wa_id, socket, onBack, conversations }) {
         </div>
       )}
 
-      {/* Message Input */}
-      <form
-        onSubmit={handleSend}
-        className="bg-white p-4 border-t flex items-center space-x-3"
-      >
-        <button
-          type="button"
-          className="text-gray-500 hover:text-gray-700 p-2"
-          title="Attach file"
+      {/* Message info */}
+      {infoMessage && (
+        <MessageInfo message={infoMessage} onClose={() => setInfoMessageId(null)} />
+      )}
+
+      {/* Template picker */}
+      {showTemplates && (
+        <TemplatePicker onSend={handleSendTemplate} onClose={() => setShowTemplates(false)} />
+      )}
+
+      {/* Interactive message composer */}
+      {showInteractive && (
+        <InteractiveComposer onSend={handleSendInteractive} onClose={() => setShowInteractive(false)} />
+      )}
+
+      {/* Location and contact composers */}
+      {showLocation && (
+        <LocationComposer onSend={handleSendLocation} onClose={() => setShowLocation(false)} />
+      )}
+      {showContact && (
+        <ContactComposer onSend={handleSendContact} onClose={() => setShowContact(false)} />
+      )}
+
+      {/* Forward dialog */}
+      {forwardIds && (
+        <ForwardDialog
+          conversations={conversations}
+          count={forwardIds.length}
+          onlyTemplates={messages.filter(m => forwardIds.includes(m._id)).every(m => m.content_type === 'template')}
+          onForward={handleForward}
+          onClose={() => setForwardIds(null)}
+        />
+      )}
+
+      {/* Delete dialog */}
+      {deleteTarget && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4">
+            <h3 className="text-lg font-semibold mb-4">Delete message?</h3>
+            <div className="space-y-2">
+              {deleteTarget.from === 'me' && !deleteTarget.is_deleted && (
+                <button
+                  onClick={() => handleDelete('everyone')}
+                  className="w-full py-2 px-4 rounded-lg text-green-700 border border-green-600 hover:bg-green-50"
+                >
+                  Delete for everyone
+                </button>
+              )}
+              <button
+                onClick={() => handleDelete('me')}
+                className="w-full py-2 px-4 rounded-lg text-green-700 border border-green-600 hover:bg-green-50"
+              >
+                Delete for me
+              </button>
+              <button
+                onClick={() => setDeleteTarget(null)}
+                className="w-full py-2 px-4 border rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Message being replied to */}
+      {replyingTo && (
+        <div className="bg-white px-4 pt-3 border-t flex items-center space-x-3">
+          <div className="flex-1 min-w-0 px-3 py-2 bg-gray-100 border-l-4 border-green-500 rounded">
+            <div className="text-xs font-semibold text-green-700">
+              {replyingTo.from === 'me' ? 'You' : (currentChat?.name || wa_id)}
+            </div>
+            <div className="text-sm text-gray-600 truncate">{replyingTo.content}</div>
+          </div>
+          <button
+            type="button"
+            onClick={() => setReplyingTo(null)}
+            className="text-gray-500 hover:text-gray-700"
+            title="Cancel reply"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Message being edited */}
+      {editingMessage && (
+        <div className="bg-white px-4 pt-3 border-t flex items-center space-x-3">
+          <div className="flex-1 min-w-0 px-3 py-2 bg-gray-100 border-l-4 border-green-500 rounded">
+            <div className="text-xs font-semibold text-green-700">Edit message</div>
+            <div className="text-sm text-gray-600 truncate">{editingMessage.content}</div>
+          </div>
+          <button
+            type="button"
+            onClick={cancelEdit}
+            className="text-gray-500 hover:text-gray-700"
+            title="Cancel edit"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Pending attachment */}
+      {(attachment || uploadProgress !== null) && (
+        <div className="bg-white px-4 pt-3 border-t flex items-center space-x-3">
+          {uploadProgress !== null ? (
+            <div className="flex-1 text-sm text-gray-600">
+              Uploading... {uploadProgress}%
+              <div className="h-1 bg-gray-200 rounded mt-1">
+                <div className="h-1 bg-green-500 rounded" style={{ width: `${uploadProgress}%` }}></div>
+              </div>
+            </div>
+          ) : (
+            <>
+              {attachment.content_type === 'image' ? (
+                <img
+                  src={resolveMediaUrl(attachment.thumbnail_url || attachment.media_url)}
+                  alt={attachment.media_filename}
+                  className="w-12 h-12 rounded object-cover"
+                />
+              ) : (
+                <span className="text-2xl">
+                  {{ audio: '🎵', video: '🎥' }[attachment.content_type] || '📄'}
+                </span>
+              )}
+              <span className="flex-1 text-sm text-gray-700 truncate">
+                {attachment.media_filename}
+              </span>
+              <button
+                type="button"
+                onClick={() => setAttachment(null)}
+                className="text-gray-500 hover:text-gray-700"
+                title="Remove attachment"
+              >
+                ✕
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Customer service window */}
+      {windowEnforced && (
+        templateOnly ? (
+          <div className="bg-yellow-50 text-yellow-800 text-sm px-4 py-2 border-t">
+            🔒 The 24-hour customer service window has closed. Only templates can be sent until {currentChat?.name || "the contact"} writes again.
+          </div>
+        ) : (
+          <div className="bg-gray-50 text-gray-600 text-xs px-4 py-1 border-t text-center">
+            🕒 Customer service window closes in {formatRemaining(windowRemaining)}
+          </div>
+        )
+      )}
+
+      {/* Message Input, or what to do with the selected messages */}
+      {selectedIds.length > 0 ? (
+        <div className="bg-white p-4 border-t flex items-center space-x-3">
+          <button
+            type="button"
+            onClick={() => setSelectedIds([])}
+            className="text-gray-500 hover:text-gray-700"
+            title="Cancel selection"
+          >
+            ✕
+          </button>
+          <span className="flex-1 text-sm text-gray-700">
+            {selectedIds.length} selected
+          </span>
+          <button
+            type="button"
+            onClick={() => setForwardIds(selectedIds)}
+            className="py-2 px-4 rounded-full bg-green-600 text-white hover:bg-green-700"
+          >
+            ↪ Forward
+          </button>
+        </div>
+      ) : templateOnly && !editingMessage ? (
+        <div className="bg-white p-4 border-t">
+          <button
+            type="button"
+            onClick={() => setShowTemplates(true)}
+            className="w-full py-3 rounded-full bg-green-600 text-white hover:bg-green-700"
+          >
+            📋 Choose a template
+          </button>
+        </div>
+      ) : (
+        <form
+          onSubmit={handleSend}
+          className="bg-white p-4 border-t flex items-center space-x-3"
         >
-          📎
-        </button>
-        
-        <div className="flex-1 relative">
           <input
-            ref={inputRef}
-            type="text"
-            value={text}
-            onChange={handleInputChange}
-            onKeyDown={handleKeyDown}
-            placeholder="Type a message"
-            className="w-full py-3 px-4 rounded-full border border-gray-300 focus:outline-none focus:border-green-500 focus:ring-1 focus:ring-green-500"
-            disabled={sending}
+            ref={fileInputRef}
+            type="file"
+            className="hidden"
+            accept={UPLOAD_TYPES}
+            onChange={handleFileSelected}
           />
-          
+          <div className="relative" onMouseLeave={() => setShowAttachMenu(false)}>
+            <button
+              type="button"
+              onClick={() => setShowAttachMenu(!showAttachMenu)}
+              disabled={uploadProgress !== null || sending || !!editingMessage}
+              className="text-gray-500 hover:text-gray-700 p-2 disabled:opacity-50"
+              title="Attach"
+            >
+              📎
+            </button>
+            {showAttachMenu && (
+              <div className="absolute bottom-full left-0 bg-white rounded-md shadow-lg py-1 min-w-[200px] z-10">
+                {attachOptions.map(option => (
+                  <button
+                    key={option.label}
+                    type="button"
+                    onClick={() => {
+                      setShowAttachMenu(false);
+                      option.onClick();
+                    }}
+                    className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
           <button
             type="button"
-            className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700"
-            title="Emoji"
+            onClick={() => setShowTemplates(true)}
+            disabled={sending || !!editingMessage}
+            className="text-gray-500 hover:text-gray-700 p-2 disabled:opacity-50"
+            title="Send template"
           >
-            😊
+            📋
           </button>
-        </div>
         
-        <button
-          type="submit"
-          disabled={!text.trim() || sending}
-          className={`p-3 rounded-full transition-all ${
-            text.trim() && !sending
-              ? "bg-green-600 text-white hover:bg-green-700"
-              : "bg-gray-300 text-gray-500 cursor-not-allowed"
-          }`}
-          title="Send message"
-        >
-          {sending ? (
-            <div className="w-5 h-5 animate-spin rounded-full border-2 border-white border-t-transparent"></div>
-          ) : (
-            "➤"
-          )}
-        </button>
-      </form>
+          <div className="flex-1 relative">
+            <input
+              ref={inputRef}
+              type="text"
+              value={text}
+              onChange={handleInputChange}
+              onKeyDown={handleKeyDown}
+              placeholder={attachment ? "Add a caption" : "Type a message"}
+              className="w-full py-3 px-4 rounded-full border border-gray-300 focus:outline-none focus:border-green-500 focus:ring-1 focus:ring-green-500"
+              disabled={sending}
+            />
+          
+            <button
+              type="button"
+              className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700"
+              title="Emoji"
+            >
+              😊
+            </button>
+          </div>
+        
+          <button
+            type="submit"
+            disabled={(!text.trim() && !attachment) || sending}
+            className={`p-3 rounded-full transition-all ${
+              (text.trim() || attachment) && !sending
+                ? "bg-green-600 text-white hover:bg-green-700"
+                : "bg-gray-300 text-gray-500 cursor-not-allowed"
+            }`}
+            title="Send message"
+          >
+            {sending ? (
+              <div className="w-5 h-5 animate-spin rounded-full border-2 border-white border-t-transparent"></div>
+            ) : (
+              "➤"
+            )}
+          </button>
+        </form>
+      )}
     </div>
   );
 }
\ No newline at end of file
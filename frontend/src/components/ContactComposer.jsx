@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+
+const inputClass = "w-full mt-1 py-2 px-3 rounded-lg border border-gray-300 focus:outline-none focus:border-green-500";
+
+// Composer dialog for sharing a contact card
+export default function ContactComposer({ onSend, onClose }) {
+  const [name, setName] = useState("");
+  const [phone, setPhone] = useState("");
+  const [email, setEmail] = useState("");
+  const [company, setCompany] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const complete = name.trim() && phone.trim();
+
+  const handleSend = async () => {
+    if (!complete || sending) return;
+    setSending(true);
+    try {
+      await onSend({
+        name,
+        phones: [{ phone }],
+        emails: email.trim() ? [{ email }] : [],
+        company
+      });
+      onClose();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to send contact. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Send contact</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">✕</button>
+        </div>
+
+        <div className="space-y-3 text-sm">
+          <label className="block">
+            <span className="text-gray-600">Name</span>
+            <input value={name} onChange={(e) => setName(e.target.value)} className={inputClass} autoFocus />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">Phone number</span>
+            <input type="tel" value={phone} onChange={(e) => setPhone(e.target.value)} placeholder="+1 555 010 2000" className={inputClass} />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">Email (optional)</span>
+            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">Company (optional)</span>
+            <input value={company} onChange={(e) => setCompany(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+
+        <button
+          onClick={handleSend}
+          disabled={!complete || sending}
+          className="mt-4 w-full py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300 disabled:text-gray-500"
+        >
+          {sending ? "Sending..." : "Send"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+
+// Keep in sync with the backend's MAX_FORWARD_TARGETS
+const MAX_TARGETS = 5;
+
+// "Forward to…" dialog: pick up to five conversations from the chat list.
+// Chats whose customer service window has closed can only receive templates
+export default function ForwardDialog({ conversations, count, onlyTemplates, onForward, onClose }) {
+  const [filter, setFilter] = useState("");
+  const [chosen, setChosen] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  const isClosed = (chat) => !onlyTemplates && chat.serviceWindow?.enforced && !chat.serviceWindow.open;
+  const isChosen = (chat) => chosen.some(c => c.wa_id === chat.wa_id && c.phone_number_id === chat.phone_number_id);
+
+  const toggle = (chat) => {
+    setChosen(prev => isChosen(chat)
+      ? prev.filter(c => c.wa_id !== chat.wa_id || c.phone_number_id !== chat.phone_number_id)
+      : [...prev, chat]
+    );
+  };
+
+  const handleForward = async () => {
+    if (chosen.length === 0 || sending) return;
+    setSending(true);
+    try {
+      await onForward(chosen.map(({ wa_id, phone_number_id }) => ({ wa_id, phone_number_id })));
+      onClose();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to forward messages. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const query = filter.trim().toLowerCase();
+  const visibleChats = conversations.filter(chat =>
+    !query || chat.name?.toLowerCase().includes(query) || chat.wa_id.includes(query)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">
+            Forward {count === 1 ? "message" : `${count} messages`} to…
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">✕</button>
+        </div>
+
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Search chats"
+          className="mb-3 py-2 px-3 rounded-lg bg-gray-100 text-sm focus:outline-none focus:ring-1 focus:ring-green-500"
+          autoFocus
+        />
+
+        <div className="flex-1 overflow-y-auto">
+          {visibleChats.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-4">No chats found</p>
+          )}
+          {visibleChats.map(chat => {
+            const closed = isClosed(chat);
+            const checked = isChosen(chat);
+            const disabled = closed || (!checked && chosen.length >= MAX_TARGETS);
+
+            return (
+              <label
+                key={`${chat.wa_id}-${chat.phone_number_id}`}
+                className={`flex items-center px-2 py-2 rounded ${disabled ? "opacity-50" : "hover:bg-gray-50 cursor-pointer"}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  disabled={disabled}
+                  onChange={() => toggle(chat)}
+                  className="mr-3 accent-green-600"
+                />
+                <img
+                  src={chat.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(chat.name || chat.wa_id)}&background=25d366&color=fff`}
+                  alt=""
+                  className="w-8 h-8 rounded-full mr-3 object-cover"
+                />
+                <div className="min-w-0">
+                  <div className="text-sm font-medium truncate">{chat.name || chat.wa_id}</div>
+                  {closed && (
+                    <div className="text-xs text-yellow-700">🔒 Window closed, templates only</div>
+                  )}
+                </div>
+              </label>
+            );
+          })}
+        </div>
+
+        <button
+          onClick={handleForward}
+          disabled={chosen.length === 0 || sending}
+          className="mt-4 w-full py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300 disabled:text-gray-500"
+        >
+          {sending ? "Forwarding..." : `Forward${chosen.length ? ` to ${chosen.length} chat${chosen.length > 1 ? "s" : ""}` : ""}`}
+        </button>
+      </div>
+    </div>
+  );
+}
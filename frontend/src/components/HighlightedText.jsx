@@ -0,0 +1,23 @@
+import React from "react";
+
+// Render text with the given [start, end) ranges marked
+export default function HighlightedText({ text = "", highlights = [] }) {
+  if (highlights.length === 0) return text;
+  
+  const parts = [];
+  let position = 0;
+  
+  highlights.forEach(([start, end], index) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  
+  if (position < text.length) parts.push(text.slice(position));
+  
+  return <>{parts}</>;
+}
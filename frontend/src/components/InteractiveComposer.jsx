@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+
+// Cloud API limits, also checked by the backend
+const MAX_BUTTONS = 3;
+const MAX_ROWS = 10;
+
+const inputClass = "w-full mt-1 py-2 px-3 rounded-lg border border-gray-300 focus:outline-none focus:border-green-500";
+
+// Composer dialog for reply-button and list messages
+export default function InteractiveComposer({ onSend, onClose }) {
+  const [type, setType] = useState("button");
+  const [header, setHeader] = useState("");
+  const [body, setBody] = useState("");
+  const [footer, setFooter] = useState("");
+  const [buttons, setButtons] = useState(["", ""]);
+  const [listButton, setListButton] = useState("");
+  const [sectionTitle, setSectionTitle] = useState("");
+  const [rows, setRows] = useState([{ title: "", description: "" }]);
+  const [sending, setSending] = useState(false);
+
+  const filledButtons = buttons.map(b => b.trim()).filter(Boolean);
+  const filledRows = rows.filter(row => row.title.trim());
+  const complete = body.trim() && (type === "button"
+    ? filledButtons.length > 0
+    : listButton.trim() && filledRows.length > 0);
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => i === index ? { ...row, [field]: value } : row));
+  };
+
+  const handleSend = async () => {
+    if (!complete || sending) return;
+
+    const interactive = type === "button"
+      ? { type, header, body, footer, buttons: filledButtons.map(title => ({ title })) }
+      : { type, header, body, footer, button: listButton, sections: [{ title: sectionTitle, rows: filledRows }] };
+
+    setSending(true);
+    try {
+      await onSend(interactive);
+      onClose();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to send message. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Interactive message</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">✕</button>
+        </div>
+
+        <div className="flex mb-4 rounded-lg border overflow-hidden text-sm">
+          {[["button", "Reply buttons"], ["list", "List"]].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setType(value)}
+              className={`flex-1 py-2 ${type === value ? "bg-green-600 text-white" : "hover:bg-gray-50"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-3 text-sm">
+          <label className="block">
+            <span className="text-gray-600">Header (optional)</span>
+            <input value={header} onChange={(e) => setHeader(e.target.value)} maxLength={60} className={inputClass} />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">Message</span>
+            <textarea value={body} onChange={(e) => setBody(e.target.value)} maxLength={1024} rows={3} className={inputClass} />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">Footer (optional)</span>
+            <input value={footer} onChange={(e) => setFooter(e.target.value)} maxLength={60} className={inputClass} />
+          </label>
+
+          {type === "button" ? (
+            <div>
+              <span className="text-gray-600">Buttons</span>
+              {buttons.map((title, i) => (
+                <div key={i} className="flex items-center space-x-2">
+                  <input
+                    value={title}
+                    onChange={(e) => setButtons(prev => prev.map((b, j) => j === i ? e.target.value : b))}
+                    maxLength={20}
+                    placeholder={`Button ${i + 1}`}
+                    className={inputClass}
+                  />
+                  {buttons.length > 1 && (
+                    <button onClick={() => setButtons(prev => prev.filter((_, j) => j !== i))} className="text-gray-500 hover:text-gray-700" title="Remove button">✕</button>
+                  )}
+                </div>
+              ))}
+              {buttons.length < MAX_BUTTONS && (
+                <button onClick={() => setButtons(prev => [...prev, ""])} className="mt-2 text-green-700 hover:underline">+ Add button</button>
+              )}
+            </div>
+          ) : (
+            <>
+              <label className="block">
+                <span className="text-gray-600">Menu button label</span>
+                <input value={listButton} onChange={(e) => setListButton(e.target.value)} maxLength={20} placeholder="e.g. View options" className={inputClass} />
+              </label>
+              <label className="block">
+                <span className="text-gray-600">Section title (optional)</span>
+                <input value={sectionTitle} onChange={(e) => setSectionTitle(e.target.value)} maxLength={24} className={inputClass} />
+              </label>
+              <div>
+                <span className="text-gray-600">Options</span>
+                {rows.map((row, i) => (
+                  <div key={i} className="flex items-start space-x-2">
+                    <div className="flex-1">
+                      <input value={row.title} onChange={(e) => updateRow(i, "title", e.target.value)} maxLength={24} placeholder={`Option ${i + 1}`} className={inputClass} />
+                      <input value={row.description} onChange={(e) => updateRow(i, "description", e.target.value)} maxLength={72} placeholder="Description (optional)" className={inputClass} />
+                    </div>
+                    {rows.length > 1 && (
+                      <button onClick={() => setRows(prev => prev.filter((_, j) => j !== i))} className="mt-3 text-gray-500 hover:text-gray-700" title="Remove option">✕</button>
+                    )}
+                  </div>
+                ))}
+                {rows.length < MAX_ROWS && (
+                  <button onClick={() => setRows(prev => [...prev, { title: "", description: "" }])} className="mt-2 text-green-700 hover:underline">+ Add option</button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        <button
+          onClick={handleSend}
+          disabled={!complete || sending}
+          className="mt-4 w-full py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300 disabled:text-gray-500"
+        >
+          {sending ? "Sending..." : "Send"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+
+const inputClass = "w-full mt-1 py-2 px-3 rounded-lg border border-gray-300 focus:outline-none focus:border-green-500";
+
+// Composer dialog for sharing a location, typed in or taken from the browser
+export default function LocationComposer({ onSend, onClose }) {
+  const [latitude, setLatitude] = useState("");
+  const [longitude, setLongitude] = useState("");
+  const [name, setName] = useState("");
+  const [address, setAddress] = useState("");
+  const [locating, setLocating] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  const complete = latitude !== "" && longitude !== "" &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  const useCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      alert('Your browser cannot share its location.');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLatitude(position.coords.latitude.toFixed(6));
+        setLongitude(position.coords.longitude.toFixed(6));
+        setLocating(false);
+      },
+      (error) => {
+        setLocating(false);
+        alert(`Could not get your location: ${error.message}`);
+      }
+    );
+  };
+
+  const handleSend = async () => {
+    if (!complete || sending) return;
+    setSending(true);
+    try {
+      await onSend({ latitude: lat, longitude: lng, name, address });
+      onClose();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to send location. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Send location</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">✕</button>
+        </div>
+
+        <div className="space-y-3 text-sm">
+          <button
+            onClick={useCurrentLocation}
+            disabled={locating}
+            className="w-full py-2 rounded-lg border border-green-600 text-green-700 hover:bg-green-50 disabled:opacity-50"
+          >
+            {locating ? "Locating..." : "📍 Use my current location"}
+          </button>
+          <div className="flex space-x-2">
+            <label className="block flex-1">
+              <span className="text-gray-600">Latitude</span>
+              <input type="number" step="any" value={latitude} onChange={(e) => setLatitude(e.target.value)} className={inputClass} />
+            </label>
+            <label className="block flex-1">
+              <span className="text-gray-600">Longitude</span>
+              <input type="number" step="any" value={longitude} onChange={(e) => setLongitude(e.target.value)} className={inputClass} />
+            </label>
+          </div>
+          <label className="block">
+            <span className="text-gray-600">Place name (optional)</span>
+            <input value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">Address (optional)</span>
+            <input value={address} onChange={(e) => setAddress(e.target.value)} className={inputClass} />
+          </label>
+        </div>
+
+        <button
+          onClick={handleSend}
+          disabled={!complete || sending}
+          className="mt-4 w-full py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300 disabled:text-gray-500"
+        >
+          {sending ? "Sending..." : "Send"}
+        </button>
+      </div>
+    </div>
+  );
+}
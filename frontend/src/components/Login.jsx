@@ -0,0 +1,112 @@
+import React, { useState } from "react";
+import { login, register } from "../api";
+
+// Self sign-up only works when the backend sets ALLOW_REGISTRATION=true
+const ALLOW_REGISTRATION = import.meta.env.VITE_ALLOW_REGISTRATION === "true";
+
+export default function Login({ onLogin }) {
+  const [mode, setMode] = useState("login");
+  const [form, setForm] = useState({ username: "", password: "", display_name: "" });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isRegister = mode === "register";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const user = isRegister ? await register(form) : await login(form);
+      onLogin(user);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isRegister ? "login" : "register");
+    setError(null);
+  };
+
+  return (
+    <div className="h-screen flex items-center justify-center bg-gray-100">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg p-8 shadow-md max-w-sm w-full mx-4 space-y-4"
+      >
+        <div className="text-center">
+          <div className="text-4xl mb-2">💬</div>
+          <h1 className="text-xl font-semibold text-gray-800">WhatsApp Clone</h1>
+          <p className="text-sm text-gray-500">
+            {isRegister ? "Create an agent account" : "Log in to continue"}
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1">Username</label>
+          <input
+            type="text"
+            value={form.username}
+            onChange={(e) => setForm({ ...form, username: e.target.value })}
+            className="w-full p-2 border rounded-lg"
+            autoComplete="username"
+            required
+          />
+        </div>
+
+        {isRegister && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Display name</label>
+            <input
+              type="text"
+              value={form.display_name}
+              onChange={(e) => setForm({ ...form, display_name: e.target.value })}
+              className="w-full p-2 border rounded-lg"
+              placeholder="Shown to other agents"
+            />
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium mb-1">Password</label>
+          <input
+            type="password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            className="w-full p-2 border rounded-lg"
+            autoComplete={isRegister ? "new-password" : "current-password"}
+            required
+          />
+        </div>
+
+        {error && (
+          <div className="p-3 rounded-lg text-sm bg-red-100 text-red-700">
+            ❌ {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          {submitting ? "Please wait..." : isRegister ? "Create account" : "Log in"}
+        </button>
+
+        {ALLOW_REGISTRATION && (
+          <button
+            type="button"
+            onClick={toggleMode}
+            className="w-full text-sm text-green-700 hover:underline"
+          >
+            {isRegister ? "Already have an account? Log in" : "New agent? Create an account"}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
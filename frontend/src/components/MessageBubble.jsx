@@ -1,18 +1,557 @@
-import React from "react";
+import React, { useRef, useState } from "react";
+import { resolveMediaUrl } from "../api";
+import HighlightedText from "./HighlightedText";
+import { LocationCard, ContactCard } from "./SharedCards";
 
-export default function MessageBubble({ message }) {
-  const isMine = message.from === "me"; // Adjust according to your backend logic
+// Helper function to format timestamp
+function formatMessageTime(timestamp) {
+  if (!timestamp) return "";
+  const date = new Date(timestamp);
+  return date.toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+}
+
+// Helper function to format file sizes
+function formatFileSize(bytes) {
+  if (!bytes && bytes !== 0) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Media messages without a caption store the file name (or a 📎 placeholder) as content
+function getCaption(msg) {
+  if (msg.content_type === 'text' || !msg.content_type) return msg.content;
+  // Locations and contact cards show their own card
+  if (msg.location || msg.contacts?.length) return null;
+  if (msg.content === msg.media_filename || msg.content?.startsWith('📎')) return null;
+  return msg.content;
+}
+
+// Quoted message shown at the top of a reply. `reply_to` is populated by the
+// REST API, but may be just an id in socket events
+function QuotedMessage({ msg, isMine, contactName, onClick }) {
+  const original = msg.reply_to && typeof msg.reply_to === 'object' ? msg.reply_to : null;
+  const originalId = original?._id || msg.reply_to;
+  const author = original ? (original.from === 'me' ? 'You' : contactName) : null;
+  
+  return (
+    <button
+      type="button"
+      onClick={() => originalId && onClick?.(originalId)}
+      className={`block w-full text-left mb-1 px-2 py-1 rounded border-l-4 text-sm ${
+        isMine 
+          ? "bg-green-600 border-green-200 text-green-50" 
+          : "bg-gray-100 border-green-500 text-gray-700"
+      }`}
+      title="Go to original message"
+    >
+      {author && (
+        <div className={`text-xs font-semibold ${isMine ? "text-green-100" : "text-green-700"}`}>
+          {author}
+        </div>
+      )}
+      {original?.is_deleted ? (
+        <div className="truncate italic">🚫 This message was deleted</div>
+      ) : (
+        <div className="truncate">
+          {original?.content || msg.reply_to_content || "Original message"}
+        </div>
+      )}
+    </button>
+  );
+}
+
+function MessageMedia({ msg, isMine }) {
+  const url = resolveMediaUrl(msg.media_url);
+  if (!url) return null;
+  
+  const thumbnail = resolveMediaUrl(msg.thumbnail_url);
+  
+  switch (msg.content_type) {
+    case 'image':
+      return (
+        <a href={url} target="_blank" rel="noopener noreferrer" className="block mb-1">
+          <img
+            src={thumbnail || url}
+            alt={msg.media_filename || "Image"}
+            className="rounded-md max-h-64 w-full object-cover"
+            loading="lazy"
+          />
+        </a>
+      );
+    case 'sticker':
+      return (
+        <img
+          src={url}
+          alt="Sticker"
+          className="w-32 h-32 object-contain mb-1"
+          loading="lazy"
+        />
+      );
+    case 'audio':
+      return (
+        <audio controls preload="metadata" src={url} className="w-60 max-w-full mb-1" />
+      );
+    case 'video':
+      return (
+        <video
+          controls
+          preload="metadata"
+          src={url}
+          poster={thumbnail || undefined}
+          className="rounded-md max-h-64 w-full mb-1"
+        />
+      );
+    case 'document':
+      return (
+        <a
+          href={url}
+          download={msg.media_filename}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`flex items-center p-2 mb-1 rounded-md ${
+            isMine ? "bg-green-600 hover:bg-green-700" : "bg-gray-100 hover:bg-gray-200"
+          }`}
+        >
+          <span className="text-2xl mr-2">📄</span>
+          <div className="min-w-0 flex-1">
+            <div className="text-sm font-medium truncate">
+              {msg.media_filename || "Document"}
+            </div>
+            <div className={`text-xs ${isMine ? "text-green-100" : "text-gray-500"}`}>
+              {[formatFileSize(msg.media_size), msg.media_mime_type].filter(Boolean).join(" · ")}
+            </div>
+          </div>
+          <span className="ml-2" title="Download">⬇️</span>
+        </a>
+      );
+    default:
+      return null;
+  }
+}
+
+// Buttons of a template or interactive message. Reply buttons are only
+// shown; the contact taps them on their phone
+function MessageButtons({ buttons, isMine }) {
+  if (!buttons?.length) return null;
+  
+  const style = `block w-full text-center text-sm py-1 border-t ${
+    isMine ? "border-green-400 text-white" : "border-gray-200 text-blue-600"
+  }`;
+  
+  return (
+    <div className="mb-1 -mx-4">
+      {buttons.map((button, i) => {
+        if (button.type === 'url') {
+          return (
+            <a key={i} href={button.url} target="_blank" rel="noopener noreferrer" className={`${style} hover:underline`}>
+              🔗 {button.text}
+            </a>
+          );
+        }
+        return (
+          <div key={i} className={style}>
+            {button.type === 'phone_number' ? `📞 ${button.text}` : `↩ ${button.text}`}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// The options of a list message, folded behind its menu button like on the phone
+function ListMenu({ interactive, isMine }) {
+  const [open, setOpen] = useState(false);
+  
+  return (
+    <div className="mb-1 -mx-4">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`block w-full text-center text-sm py-1 border-t ${
+          isMine ? "border-green-400 text-white" : "border-gray-200 text-blue-600"
+        }`}
+      >
+        ☰ {interactive.button}
+      </button>
+      {open && (
+        <div className={`px-4 pt-1 text-sm ${isMine ? "text-green-50" : "text-gray-700"}`}>
+          {interactive.sections.map((section, i) => (
+            <div key={i} className="mb-1">
+              {section.title && (
+                <div className={`text-xs font-semibold uppercase ${isMine ? "text-green-100" : "text-green-700"}`}>
+                  {section.title}
+                </div>
+              )}
+              {section.rows.map(row => (
+                <div key={row.id} className="py-1">
+                  <div>{row.title}</div>
+                  {row.description && (
+                    <div className={`text-xs ${isMine ? "text-green-100" : "text-gray-500"}`}>{row.description}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Header, footer and buttons of template and interactive messages, and the
+// option picked in the contact's answer to an interactive message
+function getStructuredParts(msg) {
+  const interactive = msg.interactive;
+  const buttons = msg.template?.buttons || 
+    interactive?.buttons?.map(button => ({ type: 'quick_reply', text: button.title }));
+  
+  return {
+    header: msg.template?.header || interactive?.header,
+    footer: msg.template?.footer || interactive?.footer,
+    buttons,
+    list: interactive?.type === 'list' ? interactive : null,
+    reply: interactive?.reply?.title ? { ...interactive.reply, fromList: interactive.type === 'list_reply' } : null
+  };
+}
+
+// Dropdown of per-message actions, opened from the bubble's hover arrow
+function MessageMenu({ actions, isMine }) {
+  const [open, setOpen] = useState(false);
+  
+  if (actions.length === 0) return null;
+  
   return (
-    <div className={`flex mb-2 ${isMine ? "justify-end" : "justify-start"}`}>
+    <div
+      className="absolute top-1 right-1 z-10"
+      onMouseLeave={() => setOpen(false)}
+    >
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`px-1 rounded opacity-0 group-hover:opacity-100 transition-opacity ${
+          isMine ? "bg-green-500 text-green-100" : "bg-white text-gray-500"
+        } ${open ? "opacity-100" : ""}`}
+        title="Message options"
+      >
+        ⌄
+      </button>
+      
+      {open && (
+        <div className={`absolute top-6 ${isMine ? "right-0" : "left-0"} bg-white text-gray-700 rounded-md shadow-lg py-1 min-w-[160px]`}>
+          {actions.map(action => (
+            <button
+              key={action.label}
+              type="button"
+              onClick={() => {
+                setOpen(false);
+                action.onClick();
+              }}
+              className="block w-full text-left px-4 py-2 text-sm hover:bg-gray-100"
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+// Emoji row shown from the hover smiley next to a bubble. Picking our current
+// reaction again removes it
+function ReactionPicker({ current, onReact, isMine }) {
+  const [open, setOpen] = useState(false);
+  
+  return (
+    <div
+      className={`relative self-center mx-1 ${isMine ? "order-first" : ""}`}
+      onMouseLeave={() => setOpen(false)}
+    >
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`w-7 h-7 rounded-full bg-white text-gray-500 shadow-sm opacity-0 group-hover:opacity-100 transition-opacity ${
+          open ? "opacity-100" : ""
+        }`}
+        title="React"
+      >
+        ☺
+      </button>
+      
+      {open && (
+        <div className={`absolute bottom-8 ${isMine ? "right-0" : "left-0"} z-10 flex bg-white rounded-full shadow-lg px-2 py-1`}>
+          {QUICK_REACTIONS.map(emoji => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => {
+                setOpen(false);
+                onReact(emoji === current ? "" : emoji);
+              }}
+              className={`text-xl px-1 rounded-full hover:scale-125 transition-transform ${
+                emoji === current ? "bg-gray-200" : ""
+              }`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Reactions under a bubble, one chip per emoji. Clicking ours removes it
+function ReactionChips({ reactions, contactName, onReact, isMine }) {
+  const groups = [];
+  for (const reaction of reactions) {
+    const group = groups.find(g => g.emoji === reaction.emoji);
+    const who = reaction.from === "me" ? "You" : contactName;
+    if (group) {
+      group.names.push(who);
+      group.mine = group.mine || reaction.from === "me";
+    } else {
+      groups.push({ emoji: reaction.emoji, names: [who], mine: reaction.from === "me" });
+    }
+  }
+  
+  return (
+    <div className={`absolute -bottom-4 ${isMine ? "right-2" : "left-2"} flex space-x-1`}>
+      {groups.map(group => (
+        <button
+          key={group.emoji}
+          type="button"
+          onClick={() => group.mine && onReact?.("")}
+          className={`flex items-center px-1.5 rounded-full text-sm shadow-sm border ${
+            group.mine ? "bg-green-50 border-green-300" : "bg-white border-gray-200"
+          } ${group.mine && onReact ? "cursor-pointer" : "cursor-default"}`}
+          title={group.names.join(", ") + (group.mine && onReact ? " · click to remove" : "")}
+        >
+          {group.emoji}
+          {group.names.length > 1 && <span className="ml-1 text-xs text-gray-600">{group.names.length}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+const SWIPE_TO_REPLY_PX = 60;
+
+// Keep in sync with the backend's EDIT_WINDOW_MINUTES
+const EDIT_WINDOW_MS = Number(import.meta.env.VITE_EDIT_WINDOW_MINUTES || 15) * 60 * 1000;
+
+// Mirrors Message#canEdit so the menu only offers edits the API will accept
+function canEdit(msg, currentUser) {
+  return msg.from === "me" &&
+    msg.content_type === "text" &&
+    !msg.is_deleted &&
+    (!msg.sent_by || msg.sent_by._id === currentUser?._id) &&
+    Date.now() - new Date(msg.timestamp).getTime() <= EDIT_WINDOW_MS;
+}
+
+export default function MessageBubble({ message: msg, currentUser, contactName, onReply, onEdit, onToggleStar, onReact, onForward, onSelect, onInfo, onRetry, onDelete, onQuoteClick, onMessageContact, selecting, selected, highlighted, highlights }) {
+  const isMine = msg.from === "me";
+  const caption = getCaption(msg);
+  const parts = getStructuredParts(msg);
+  const touchStartX = useRef(null);
+  const reactions = msg.is_deleted ? [] : msg.reactions || [];
+  const myReaction = reactions.find(reaction => reaction.from === "me")?.emoji;
+  
+  // Swipe right on touch screens to reply
+  const handleTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+  
+  const handleTouchEnd = (e) => {
+    if (touchStartX.current === null || msg.is_deleted) return;
+    const distance = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (distance > SWIPE_TO_REPLY_PX) onReply?.(msg);
+  };
+  
+  // Deleted messages only offer "delete for me"
+  const actions = [
+    isMine && msg.status === "failed" && !msg.is_deleted && onRetry && { label: "Retry", onClick: () => onRetry(msg) },
+    !msg.is_deleted && onReply && { label: "Reply", onClick: () => onReply(msg) },
+    !msg.is_deleted && onForward && { label: "Forward", onClick: () => onForward(msg) },
+    !msg.is_deleted && onSelect && { label: "Select", onClick: () => onSelect(msg) },
+    !msg.is_deleted && onToggleStar && { label: msg.is_starred ? "Unstar" : "Star", onClick: () => onToggleStar(msg) },
+    !msg.is_deleted && onInfo && { label: "Message info", onClick: () => onInfo(msg) },
+    onEdit && canEdit(msg, currentUser) && { label: "Edit", onClick: () => onEdit(msg) },
+    onDelete && { label: "Delete", onClick: () => onDelete(msg) }
+  ].filter(Boolean);
+  
+  return (
+    <div
+      id={`msg-${msg._id}`}
+      className={`group relative flex mb-2 ${isMine ? "justify-end" : "justify-start"} ${selecting ? "pl-8" : ""} ${selected ? "bg-green-100 bg-opacity-60 rounded" : ""}`}
+      onTouchStart={handleTouchStart}
+      onTouchEnd={handleTouchEnd}
+    >
+      {/* While selecting, a click anywhere on the row picks the message */}
+      {selecting && (
+        <button
+          type="button"
+          onClick={() => !msg.is_deleted && onSelect?.(msg)}
+          className={`absolute inset-0 z-20 w-full flex items-center pl-2 ${msg.is_deleted ? "cursor-default" : ""}`}
+          title={msg.is_deleted ? "" : selected ? "Deselect" : "Select"}
+        >
+          {!msg.is_deleted && (
+            <span className={`w-5 h-5 rounded border-2 flex items-center justify-center text-xs text-white ${
+              selected ? "bg-green-600 border-green-600" : "bg-white border-gray-400"
+            }`}>
+              {selected && "✓"}
+            </span>
+          )}
+        </button>
+      )}
+      
       <div
-        className={`max-w-xs px-3 py-2 rounded-lg ${
+        className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg relative ${
           isMine
-            ? "bg-green-500 text-white rounded-br-none"
-            : "bg-white text-black rounded-bl-none"
-        }`}
+            ? "bg-green-500 text-white rounded-br-sm"
+            : "bg-white text-gray-800 rounded-bl-sm shadow-sm"
+        } ${highlighted ? "ring-4 ring-yellow-300" : ""} ${reactions.length ? "mb-4" : ""}`}
+        style={{
+          wordWrap: 'break-word',
+          overflowWrap: 'break-word'
+        }}
       >
-        {message.content}
+        <MessageMenu actions={actions} isMine={isMine} />
+        
+        {/* Agent who sent it, when it was someone else */}
+        {isMine && msg.sent_by && msg.sent_by._id !== currentUser?._id && (
+          <div className="text-xs font-semibold text-green-100 mb-1">
+            {msg.sent_by.display_name || msg.sent_by.username}
+          </div>
+        )}
+        
+        {msg.is_deleted ? (
+          /* Tombstone for messages deleted for everyone */
+          <div className={`mb-1 italic ${isMine ? "text-green-100" : "text-gray-500"}`}>
+            🚫 This message was deleted
+          </div>
+        ) : (
+          <>
+            {msg.is_forwarded && (
+              <div className={`mb-1 text-xs italic ${isMine ? "text-green-100" : "text-gray-500"}`}>
+                ↪ Forwarded
+              </div>
+            )}
+            
+            {/* Quoted message */}
+            {(msg.reply_to || msg.reply_to_content) && (
+              <QuotedMessage
+                msg={msg}
+                isMine={isMine}
+                contactName={contactName}
+                onClick={onQuoteClick}
+              />
+            )}
+            
+            {/* Media */}
+            <MessageMedia msg={msg} isMine={isMine} />
+            
+            {/* Shared location and contact cards */}
+            {msg.location && <LocationCard location={msg.location} isMine={isMine} />}
+            {msg.contacts?.map((contact, i) => (
+              <ContactCard key={i} contact={contact} isMine={isMine} onMessage={onMessageContact} />
+            ))}
+            
+            {parts.header && (
+              <div className="mb-1 pr-4 font-semibold">{parts.header}</div>
+            )}
+            
+            {/* Answer to an interactive message */}
+            {parts.reply && (
+              <div className={`text-xs ${isMine ? "text-green-100" : "text-gray-500"}`}>
+                {parts.reply.fromList ? "☰ Chose from the list" : "↩ Tapped a button"}
+              </div>
+            )}
+            
+            {/* Message Content */}
+            {caption && (
+              <div className="mb-1 pr-4">
+                {highlights ? <HighlightedText text={caption} highlights={highlights} /> : caption}
+              </div>
+            )}
+            
+            {parts.reply?.description && (
+              <div className={`mb-1 text-xs ${isMine ? "text-green-100" : "text-gray-500"}`}>
+                {parts.reply.description}
+              </div>
+            )}
+            
+            {/* Footer, buttons and list of template and interactive messages */}
+            {parts.footer && (
+              <div className={`mb-1 text-xs ${isMine ? "text-green-100" : "text-gray-500"}`}>
+                {parts.footer}
+              </div>
+            )}
+            <MessageButtons buttons={parts.buttons} isMine={isMine} />
+            {parts.list && <ListMenu interactive={parts.list} isMine={isMine} />}
+          </>
+        )}
+        
+        {/* Why sending failed */}
+        {isMine && msg.status === 'failed' && !msg.is_deleted && (
+          <div className="mb-1 text-xs bg-red-50 text-red-700 rounded px-2 py-1">
+            ⚠️ Not sent{msg.error_message ? `: ${msg.error_message}` : ""}
+            {onRetry && (
+              <button
+                onClick={() => onRetry(msg)}
+                className="ml-2 font-semibold underline hover:text-red-900"
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+        
+        {/* Time and Status */}
+        <div className={`flex items-center justify-end space-x-1 text-xs ${
+          isMine ? "text-green-100" : "text-gray-500"
+        }`}>
+          {msg.is_starred && <span title="Starred">⭐</span>}
+          {msg.edited_at && !msg.is_deleted && (
+            <span className="italic" title={`Edited ${new Date(msg.edited_at).toLocaleString()}`}>
+              edited
+            </span>
+          )}
+          <span>{formatMessageTime(msg.timestamp)}</span>
+          
+          {/* Status indicators for sent messages */}
+          {isMine && !msg.is_deleted && (
+            <span className="ml-1">
+              {msg.status === 'pending' && "⏳"}
+              {msg.status === 'sent' && "✓"}
+              {msg.status === 'delivered' && "✓✓"}
+              {msg.status === 'read' && <span className="text-blue-200">✓✓</span>}
+              {msg.status === 'failed' && <span className="text-red-300">⚠️</span>}
+            </span>
+          )}
+        </div>
+        
+        {reactions.length > 0 && (
+          <ReactionChips
+            reactions={reactions}
+            contactName={contactName}
+            onReact={onReact && ((emoji) => onReact(msg, emoji))}
+            isMine={isMine}
+          />
+        )}
       </div>
+      
+      {!msg.is_deleted && onReact && (
+        <ReactionPicker current={myReaction} onReact={(emoji) => onReact(msg, emoji)} isMine={isMine} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,64 @@
+import React from "react";
+
+function formatStageTime(timestamp) {
+  if (!timestamp) return "—";
+  return new Date(timestamp).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+}
+
+// When a message reached each delivery stage
+export default function MessageInfo({ message, onClose }) {
+  const isMine = message.from === "me";
+  
+  const stages = isMine
+    ? [
+        { icon: "✓", label: "Sent", time: message.sent_at || (message.status !== "pending" && message.timestamp) },
+        { icon: "✓✓", label: "Delivered", time: message.delivered_at },
+        { icon: <span className="text-blue-500">✓✓</span>, label: "Read", time: message.read_at },
+        message.failed_at && { icon: "⚠️", label: "Failed", time: message.failed_at }
+      ]
+    : [
+        { icon: "📥", label: "Received", time: message.timestamp },
+        { icon: "👁", label: "Read", time: message.read_at }
+      ];
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-sm w-full mx-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Message info</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">✕</button>
+        </div>
+        
+        <div className="mb-4 px-3 py-2 bg-gray-100 rounded text-sm text-gray-700 line-clamp-3">
+          {message.content}
+        </div>
+        
+        {isMine && message.sent_by && (
+          <div className="text-sm text-gray-500 mb-3">
+            Sent by {message.sent_by.display_name || message.sent_by.username}
+          </div>
+        )}
+        
+        <div className="space-y-3">
+          {stages.filter(Boolean).map(stage => (
+            <div key={stage.label} className="flex items-center justify-between text-sm">
+              <span className="flex items-center space-x-2 text-gray-700">
+                <span className="w-6 text-center">{stage.icon}</span>
+                <span>{stage.label}</span>
+              </span>
+              <span className="text-gray-500">{formatStageTime(stage.time)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
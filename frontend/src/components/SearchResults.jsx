@@ -0,0 +1,62 @@
+import React from "react";
+import HighlightedText from "./HighlightedText";
+
+function formatResultDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+// Message hits from GET /search, grouped by conversation
+export default function SearchResults({ results, loading, onSelect }) {
+  return (
+    <div>
+      <div className="px-4 py-2 bg-gray-50 text-xs font-semibold text-green-700 uppercase tracking-wide">
+        Messages
+      </div>
+      
+      {loading && (
+        <div className="p-4 flex justify-center">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+        </div>
+      )}
+      
+      {!loading && results.length === 0 && (
+        <div className="p-4 text-sm text-center text-gray-500">No messages found</div>
+      )}
+      
+      {!loading && results.map(group => (
+        <div key={group.wa_id} className="border-b border-gray-100">
+          <div className="px-4 pt-3 flex items-center space-x-2">
+            <img
+              src={group.avatar}
+              alt={group.name}
+              className="w-6 h-6 rounded-full object-cover"
+            />
+            <span className="text-sm font-semibold text-gray-800 truncate">{group.name}</span>
+            <span className="text-xs text-gray-400">
+              {group.messages.length} match{group.messages.length !== 1 ? 'es' : ''}
+            </span>
+          </div>
+          
+          {group.messages.map(message => (
+            <div
+              key={message._id}
+              onClick={() => onSelect({ ...message, wa_id: group.wa_id })}
+              className="px-4 py-2 cursor-pointer hover:bg-gray-100"
+            >
+              <div className="text-xs text-gray-500 mb-0.5">
+                {message.from === 'me' ? 'You' : group.name} · {formatResultDate(message.timestamp)}
+              </div>
+              <div className="text-sm text-gray-700 line-clamp-2">
+                <HighlightedText text={message.snippet.text} highlights={message.snippet.highlights} />
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
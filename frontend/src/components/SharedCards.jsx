@@ -0,0 +1,131 @@
+import React from "react";
+
+const MAP_ZOOM = 15;
+const TILE_SIZE = 256;
+const MAP_HEIGHT = 150;
+
+// OpenStreetMap tile containing a point, and where in the tile the point is (0–1)
+function mapTile(latitude, longitude, zoom = MAP_ZOOM) {
+  const n = 2 ** zoom;
+  const x = (longitude + 180) / 360 * n;
+  const latRad = latitude * Math.PI / 180;
+  const y = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
+
+  return {
+    url: `https://tile.openstreetmap.org/${zoom}/${Math.floor(x)}/${Math.floor(y)}.png`,
+    offsetX: x % 1,
+    offsetY: y % 1
+  };
+}
+
+function mapLink({ latitude, longitude }) {
+  return `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=16/${latitude}/${longitude}`;
+}
+
+// Static map preview of a shared location, opening the full map on click
+export function LocationCard({ location, isMine }) {
+  const { latitude, longitude, name, address } = location;
+  const tile = mapTile(latitude, longitude);
+
+  return (
+    <a href={location.url || mapLink(location)} target="_blank" rel="noopener noreferrer" className="block mb-1">
+      <div className="relative overflow-hidden rounded-md bg-gray-200" style={{ width: "100%", maxWidth: TILE_SIZE, height: MAP_HEIGHT }}>
+        <img
+          src={tile.url}
+          alt=""
+          className="absolute max-w-none"
+          style={{
+            width: TILE_SIZE,
+            height: TILE_SIZE,
+            left: `calc(50% - ${tile.offsetX * TILE_SIZE}px)`,
+            top: MAP_HEIGHT / 2 - tile.offsetY * TILE_SIZE
+          }}
+          loading="lazy"
+        />
+        <span className="absolute text-2xl" style={{ left: "50%", top: MAP_HEIGHT / 2, transform: "translate(-50%, -100%)" }}>📍</span>
+      </div>
+      {(name || address) ? (
+        <div className="mt-1">
+          {name && <div className="text-sm font-medium">{name}</div>}
+          {address && <div className={`text-xs ${isMine ? "text-green-100" : "text-gray-500"}`}>{address}</div>}
+        </div>
+      ) : (
+        <div className={`mt-1 text-xs ${isMine ? "text-green-100" : "text-gray-500"}`}>
+          {latitude.toFixed(5)}, {longitude.toFixed(5)}
+        </div>
+      )}
+    </a>
+  );
+}
+
+// vCard values escape backslashes, commas, semicolons and newlines
+const escapeVCard = (value = "") => value.replace(/[\\,;]/g, match => `\\${match}`).replace(/\n/g, "\\n");
+
+// The card as a vCard, the one from the webhook when there is one
+function toVCard(contact) {
+  if (contact.vcard) return contact.vcard;
+
+  const [first = "", ...rest] = (contact.name || "").split(" ");
+  return [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${escapeVCard(contact.name)}`,
+    `N:${escapeVCard(contact.last_name ?? rest.join(" "))};${escapeVCard(contact.first_name ?? first)};;;`,
+    ...contact.phones.map(p => `TEL;TYPE=${p.type || "CELL"}${p.wa_id ? `;waid=${p.wa_id}` : ""}:${p.phone}`),
+    ...(contact.emails || []).map(e => `EMAIL;TYPE=${e.type || "WORK"}:${e.email}`),
+    ...(contact.company ? [`ORG:${escapeVCard(contact.company)}`] : []),
+    "END:VCARD"
+  ].join("\r\n");
+}
+
+function saveVCard(contact) {
+  const blob = new Blob([toVCard(contact)], { type: "text/vcard" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${contact.name || "contact"}.vcf`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// WhatsApp id to chat with a contact: the one WhatsApp reported, else the digits of the number
+function chatIdOf(contact) {
+  const phone = contact.phones[0];
+  return phone?.wa_id || phone?.phone.replace(/\D/g, "");
+}
+
+// A shared contact with "Save" (download as vCard) and "Message" actions
+export function ContactCard({ contact, isMine, onMessage }) {
+  const chatId = chatIdOf(contact);
+  const actionClass = `flex-1 py-1 text-sm text-center ${isMine ? "text-white hover:bg-green-600" : "text-blue-600 hover:bg-gray-50"}`;
+
+  return (
+    <div className={`mb-1 rounded-md border ${isMine ? "border-green-400" : "border-gray-200"}`}>
+      <div className="flex items-center p-2">
+        <div className="w-10 h-10 rounded-full bg-gray-300 text-white flex items-center justify-center mr-2 text-lg">
+          {contact.name?.[0]?.toUpperCase() || "👤"}
+        </div>
+        <div className="min-w-0">
+          <div className="text-sm font-medium truncate">{contact.name}</div>
+          <div className={`text-xs truncate ${isMine ? "text-green-100" : "text-gray-500"}`}>
+            {[contact.phones[0]?.phone, contact.company].filter(Boolean).join(" · ")}
+          </div>
+        </div>
+      </div>
+      <div className={`flex border-t ${isMine ? "border-green-400" : "border-gray-200"}`}>
+        <button type="button" onClick={() => saveVCard(contact)} className={actionClass}>
+          Save
+        </button>
+        {onMessage && chatId && (
+          <button
+            type="button"
+            onClick={() => onMessage(chatId)}
+            className={`${actionClass} border-l ${isMine ? "border-green-400" : "border-gray-200"}`}
+          >
+            Message
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
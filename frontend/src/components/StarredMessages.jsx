@@ -0,0 +1,127 @@
+import React, { useEffect, useState, useCallback } from "react";
+import { getStarredMessages } from "../api";
+
+function formatStarredDate(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+}
+
+function getPreview(msg) {
+  if (msg.content) return msg.content;
+  return {
+    image: '📷 Photo',
+    video: '🎥 Video',
+    audio: '🎵 Audio',
+    document: '📄 Document',
+    sticker: '😄 Sticker'
+  }[msg.content_type] || '📎 Media';
+}
+
+// Sidebar panel listing starred messages; picking one opens it in its chat
+export default function StarredMessages({ conversations, activeChat, phoneNumberId, onSelect, onClose }) {
+  const [messages, setMessages] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [onlyActiveChat, setOnlyActiveChat] = useState(false);
+
+  const loadPage = useCallback(async (pageToLoad) => {
+    setLoading(true);
+    try {
+      const data = await getStarredMessages({
+        wa_id: onlyActiveChat ? activeChat : undefined,
+        phone_number_id: phoneNumberId,
+        page: pageToLoad
+      });
+      setMessages(prev => pageToLoad === 1 ? data.messages : [...prev, ...data.messages]);
+      setPage(pageToLoad);
+      setHasMore(data.hasMore);
+    } catch (error) {
+      console.error('Failed to load starred messages:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [onlyActiveChat, activeChat, phoneNumberId]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  const chatName = (wa_id, fallback) =>
+    conversations.find(c => c.wa_id === wa_id)?.name || fallback || wa_id;
+
+  return (
+    <div className="absolute inset-0 z-20 bg-white flex flex-col">
+      {/* Panel Header */}
+      <div className="p-4 border-b bg-gray-50 flex items-center space-x-3 flex-shrink-0">
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded"
+          title="Back"
+        >
+          ←
+        </button>
+        <h2 className="font-semibold text-gray-800 flex-1">Starred messages</h2>
+      </div>
+
+      {activeChat && (
+        <label className="px-4 py-2 border-b text-sm text-gray-600 flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={onlyActiveChat}
+            onChange={(e) => setOnlyActiveChat(e.target.checked)}
+          />
+          <span>Only {chatName(activeChat)}</span>
+        </label>
+      )}
+
+      <div className="flex-1 overflow-y-auto">
+        {messages.map(msg => (
+          <div
+            key={msg._id}
+            onClick={() => onSelect(msg)}
+            className="p-3 cursor-pointer hover:bg-gray-100 border-b border-gray-100"
+          >
+            <div className="flex justify-between text-xs text-gray-500 mb-1">
+              <span className="font-semibold text-green-700 truncate">
+                {msg.from === 'me' ? `You ▸ ${chatName(msg.wa_id, msg.name)}` : chatName(msg.wa_id, msg.name)}
+              </span>
+              <span className="flex-shrink-0 ml-2">{formatStarredDate(msg.timestamp)}</span>
+            </div>
+            <div className="text-sm text-gray-800 line-clamp-2">
+              ⭐ {getPreview(msg)}
+            </div>
+          </div>
+        ))}
+
+        {!loading && messages.length === 0 && (
+          <div className="p-8 text-center text-gray-500">
+            <div className="text-4xl mb-4">⭐</div>
+            <p>No starred messages</p>
+            <p className="text-sm mt-2">Star a message from its menu to find it here later</p>
+          </div>
+        )}
+
+        {loading && (
+          <div className="p-4 flex justify-center">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+          </div>
+        )}
+
+        {hasMore && !loading && (
+          <button
+            onClick={() => loadPage(page + 1)}
+            className="w-full p-3 text-sm text-green-700 hover:bg-gray-50"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
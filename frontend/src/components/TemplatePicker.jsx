@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from "react";
+import { getTemplates } from "../api";
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\d+)\s*\}\}/g;
+
+// Show a template text with the values entered so far; empty ones keep their placeholder
+function fillPlaceholders(text, values) {
+  return text?.replace(PLACEHOLDER_PATTERN, (match, n) => values[n - 1]?.trim() || match);
+}
+
+// Composer dialog for picking a message template and filling in its variables
+export default function TemplatePicker({ onSend, onClose }) {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [variables, setVariables] = useState({ header: [], body: [] });
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    getTemplates()
+      .then(data => setTemplates(data.templates || []))
+      .catch(() => setTemplates([]))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSelect = (template) => {
+    setSelected(template);
+    setVariables({
+      header: Array(template.variable_counts.header).fill(""),
+      body: Array(template.variable_counts.body).fill("")
+    });
+  };
+
+  const setVariable = (component, index, value) => {
+    setVariables(prev => ({
+      ...prev,
+      [component]: prev[component].map((v, i) => i === index ? value : v)
+    }));
+  };
+
+  const complete = selected && [...variables.header, ...variables.body].every(value => value.trim());
+
+  const handleSend = async () => {
+    if (!complete || sending) return;
+    setSending(true);
+    try {
+      await onSend(selected, variables);
+      onClose();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to send template. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const query = filter.trim().toLowerCase();
+  const visibleTemplates = templates.filter(t =>
+    !query || t.name.includes(query) || t.body.toLowerCase().includes(query)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 max-h-[80vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">
+            {selected ? (
+              <button onClick={() => setSelected(null)} className="mr-2 text-gray-500 hover:text-gray-700" title="Back to templates">←</button>
+            ) : null}
+            {selected ? selected.name : "Send a template"}
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">✕</button>
+        </div>
+
+        {!selected ? (
+          <>
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder="Search templates"
+              className="w-full mb-3 py-2 px-3 rounded-lg border border-gray-300 focus:outline-none focus:border-green-500"
+              autoFocus
+            />
+            <div className="flex-1 overflow-y-auto">
+              {loading ? (
+                <div className="text-center text-gray-500 py-6">Loading templates...</div>
+              ) : visibleTemplates.length === 0 ? (
+                <div className="text-center text-gray-500 py-6">
+                  {templates.length === 0 ? "No templates yet. Create them with POST /api/templates." : "No matching templates"}
+                </div>
+              ) : (
+                visibleTemplates.map(template => (
+                  <button
+                    key={template._id}
+                    onClick={() => handleSelect(template)}
+                    className="block w-full text-left px-3 py-2 rounded hover:bg-gray-100"
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-800">{template.name}</span>
+                      <span className="text-xs text-gray-500">{template.language} · {template.category.toLowerCase()}</span>
+                    </div>
+                    <div className="text-sm text-gray-600 truncate">{template.body}</div>
+                  </button>
+                ))
+              )}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="flex-1 overflow-y-auto space-y-3">
+              {['header', 'body'].map(component => variables[component].map((value, i) => (
+                <label key={`${component}-${i}`} className="block text-sm">
+                  <span className="text-gray-600">{component === 'header' ? 'Header' : 'Body'} {`{{${i + 1}}}`}</span>
+                  <input
+                    type="text"
+                    value={value}
+                    onChange={(e) => setVariable(component, i, e.target.value)}
+                    className="w-full mt-1 py-2 px-3 rounded-lg border border-gray-300 focus:outline-none focus:border-green-500"
+                  />
+                </label>
+              )))}
+
+              {/* Preview */}
+              <div className="bg-green-50 rounded-lg p-3 text-sm text-gray-800">
+                {selected.header && (
+                  <div className="font-semibold mb-1">{fillPlaceholders(selected.header, variables.header)}</div>
+                )}
+                <div className="whitespace-pre-wrap">{fillPlaceholders(selected.body, variables.body)}</div>
+                {selected.footer && <div className="text-xs text-gray-500 mt-1">{selected.footer}</div>}
+                {selected.buttons?.map((button, i) => (
+                  <div key={i} className="text-center text-blue-600 border-t border-green-100 mt-2 pt-1">{button.text}</div>
+                ))}
+              </div>
+            </div>
+
+            <button
+              onClick={handleSend}
+              disabled={!complete || sending}
+              className="mt-4 w-full py-2 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300 disabled:text-gray-500"
+            >
+              {sending ? "Sending..." : "Send template"}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}